@@ -1,49 +1,401 @@
 // api/spx.js
-// Vercel serverless function that proxies ^GSPC data from Yahoo
-// and returns { series: [{ time, value }, ...] } for the frontend.
+// Vercel serverless function that proxies index/stock data from Yahoo
+// and returns { symbol, basis, source, dividendSource, series: [{ time,
+// value, open, high, low, close, volume }, ...], dividends } for the
+// frontend. `value` is the close on the requested basis: the adjusted close
+// for stocks, the published total-return index level (`source`) for the
+// main indices, whose dividend dates come from an ETF proxy
+// (`dividendSource`).
+//
+// `compare=1` marks a fetch for the "Compare to" product, which may also be
+// any plain US ticker (COMPARE_TICKER), not just the allowlist below.
+//
+// Optional `since` (ms since epoch) trims the answer to bars at or after that
+// time, so live clients can poll for just the updated last bar and new ones.
+//
+// Either `range` (Yahoo bucket, e.g. 2y) or exact `period1`/`period2` bounds
+// (seconds since epoch, like Yahoo's own parameters) pick the window;
+// `period2` defaults to now.
+
+import { createHash } from "node:crypto";
+
+// Overridable so tests can point the handler at a local fake upstream
+const UPSTREAM_BASE =
+  process.env.SPX_UPSTREAM_URL || "https://query1.finance.yahoo.com";
+
+// Symbols we are willing to proxy: the underlyings (keep in sync with
+// UNDERLYING_OPTIONS in src/LiveSP500Canvas.jsx), the real leveraged/inverse
+// ETFs on them (COMPARE_ETFS there), and any tickers a deployment adds via
+// SPX_EXTRA_SYMBOLS (comma-separated). Anything else, bar compare tickers,
+// is rejected with a 400.
+const ALLOWED_SYMBOLS = [
+  "^GSPC",
+  "^NDX",
+  "^RUT",
+  "^GDAXI",
+  "AAPL",
+  "MSFT",
+  "NVDA",
+  "AMZN",
+  "GOOGL",
+  "META",
+  "TSLA",
+  // S&P 500 ETFs
+  "SPY",
+  "SSO",
+  "UPRO",
+  "SPXL",
+  "SH",
+  "SDS",
+  "SPXU",
+  "SPXS",
+  // Nasdaq-100 ETFs
+  "QQQ",
+  "QLD",
+  "TQQQ",
+  "PSQ",
+  "QID",
+  "SQQQ",
+  // Russell 2000 ETFs
+  "IWM",
+  "UWM",
+  "TNA",
+  "RWM",
+  "TWM",
+  "TZA",
+].concat(
+  (process.env.SPX_EXTRA_SYMBOLS || "")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean)
+);
+
+// Plain exchange tickers (1-5 letters, e.g. SOXL or a new leveraged ETF)
+// accepted for compare=1 requests; no indices, futures, FX or other
+// Yahoo-specific symbols
+const COMPARE_TICKER = /^[A-Z]{1,5}$/;
+
+// Price indices carry no dividends on Yahoo, so for basis=total we read the
+// published total-return counterpart instead. Stocks use the adjusted close.
+const TOTAL_RETURN_INDEX = {
+  "^GSPC": "^SP500TR",
+  "^NDX": "^XNDX",
+  "^RUT": "^RUTTR",
+};
+
+// The total-return indices carry no dividend events either, so the dividend
+// markers for those come from an ETF tracking the same index. Amounts are
+// per ETF share; only the dates line up with the index.
+const DIVIDEND_PROXY = {
+  "^GSPC": "SPY",
+  "^NDX": "QQQ",
+  "^RUT": "IWM",
+};
+
+function readDividends(result) {
+  const divs = result && result.events && result.events.dividends;
+  if (!divs) return [];
+  return Object.keys(divs)
+    .map((k) => ({
+      time: divs[k].date * 1000,
+      amount: divs[k].amount,
+    }))
+    .filter((d) => Number.isFinite(d.time) && Number.isFinite(d.amount))
+    .sort((a, b) => a.time - b.time);
+}
+
+function chartUrl(symbol, span, interval, dividends) {
+  return (
+    UPSTREAM_BASE +
+    "/v8/finance/chart/" +
+    encodeURIComponent(symbol) +
+    (span.range
+      ? "?range=" + encodeURIComponent(span.range)
+      : "?period1=" +
+        span.period1 +
+        "&period2=" +
+        (span.period2 === undefined
+          ? Math.floor(Date.now() / 1000)
+          : span.period2)) +
+    "&interval=" +
+    encodeURIComponent(interval) +
+    (dividends ? "&events=div" : "")
+  );
+}
+
+// Dividend events of a proxy symbol; a failed proxy fetch only costs the
+// markers, not the chart
+async function fetchProxyDividends(symbol, span, interval) {
+  try {
+    const r = await fetch(chartUrl(symbol, span, interval, true));
+    if (!r.ok) return [];
+    const j = await r.json();
+    return readDividends(j && j.chart && j.chart.result && j.chart.result[0]);
+  } catch {
+    return [];
+  }
+}
+
+// Fetches and normalizes one chart from Yahoo. `span` is { range } or
+// { period1, period2 } (period2 may be undefined for "until now").
+// Resolves to { status, body }; only status 200 results are cached.
+// `source` names the symbol the closes came from and `dividendSource` the
+// one the dividend events came from, when either differs from `symbol`.
+async function fetchChart(symbol, span, interval, basis) {
+  const totalReturn = basis === "total";
+  const upstreamSymbol =
+    (totalReturn && TOTAL_RETURN_INDEX[symbol]) || symbol;
+  const dividendSymbol =
+    upstreamSymbol !== symbol ? DIVIDEND_PROXY[symbol] : symbol;
+
+  const [upstream, proxyDividends] = await Promise.all([
+    fetch(chartUrl(upstreamSymbol, span, interval, totalReturn)),
+    totalReturn && dividendSymbol && dividendSymbol !== upstreamSymbol
+      ? fetchProxyDividends(dividendSymbol, span, interval)
+      : null,
+  ]);
+  if (!upstream.ok) {
+    return {
+      status: 502,
+      body: { error: "Upstream failed", status: upstream.status },
+    };
+  }
+
+  const j = await upstream.json();
+  const result = j && j.chart && j.chart.result && j.chart.result[0];
+  const ts = result && result.timestamp;
+  const quote =
+    result &&
+    result.indicators &&
+    result.indicators.quote &&
+    result.indicators.quote[0];
+  const close = quote && quote.close;
+  // adjclose only exists for daily and longer bars
+  const adjclose =
+    result &&
+    result.indicators &&
+    result.indicators.adjclose &&
+    result.indicators.adjclose[0] &&
+    result.indicators.adjclose[0].adjclose;
+  const values = totalReturn && adjclose ? adjclose : close;
+
+  if (!ts || !values) {
+    return { status: 500, body: { error: "Bad upstream data" } };
+  }
+
+  const open = (quote && quote.open) || [];
+  const high = (quote && quote.high) || [];
+  const low = (quote && quote.low) || [];
+  const volume = (quote && quote.volume) || [];
+
+  const series = ts
+    .map((t, i) => {
+      // scale the raw OHLC onto the same basis as `value`
+      const k =
+        values !== close && close && Number.isFinite(close[i]) && close[i]
+          ? values[i] / close[i]
+          : 1;
+      const scaled = (x) => (Number.isFinite(x) ? x * k : values[i]);
+      return {
+        time: t * 1000, // ms since epoch
+        value: values[i],
+        open: scaled(open[i]),
+        high: scaled(high[i]),
+        low: scaled(low[i]),
+        close: values[i],
+        volume: Number.isFinite(volume[i]) ? volume[i] : 0,
+      };
+    })
+    .filter((p) => Number.isFinite(p.value));
+
+  return {
+    status: 200,
+    body: {
+      symbol,
+      basis:
+        totalReturn && (adjclose || upstreamSymbol !== symbol)
+          ? "total"
+          : "price",
+      series,
+      dividends: !totalReturn
+        ? []
+        : proxyDividends || (dividendSymbol ? readDividends(result) : []),
+      source: upstreamSymbol,
+      dividendSource: totalReturn && dividendSymbol ? dividendSymbol : null,
+    },
+  };
+}
+
+// -----------------------------------------
+// In-memory cache + request coalescing
+// -----------------------------------------
+// Lives as long as the (warm) serverless instance. Entries are
+// { status, body, etag, storedAt }.
+const cache = new Map();
+const inflight = new Map();
+const MAX_CACHE_ENTRIES = 200;
+
+// Seconds an entry is served as-is (`fresh`), then served while a background
+// refresh runs (`stale`). Intraday bars move quickly; daily and longer don't.
+// A window that ended over a day ago no longer changes at all.
+function cachePolicy(interval, period2) {
+  if (period2 !== undefined && period2 * 1000 < Date.now() - 24 * 60 * 60 * 1000) {
+    return { fresh: 24 * 60 * 60, stale: 7 * 24 * 60 * 60 };
+  }
+  if (/^\d+[mh]$/.test(interval)) return { fresh: 60, stale: 300 };
+  if (interval === "1d" || interval === "5d") {
+    return { fresh: 60 * 60, stale: 6 * 60 * 60 };
+  }
+  return { fresh: 6 * 60 * 60, stale: 24 * 60 * 60 };
+}
+
+function etagFor(body) {
+  return (
+    '"' +
+    createHash("sha1").update(JSON.stringify(body)).digest("hex").slice(0, 27) +
+    '"'
+  );
+}
+
+// If-None-Match holds "*" or a comma-separated list of entity tags, each
+// possibly weak (W/"..."); conditional GETs compare them weakly
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return String(header)
+    .split(",")
+    .map((t) => t.trim().replace(/^W\//, ""))
+    .some((t) => t === "*" || t === etag);
+}
+
+// Concurrent identical requests share a single upstream fetch
+function loadCoalesced(key, load) {
+  if (inflight.has(key)) return inflight.get(key);
+  const p = load()
+    .then((r) => {
+      const entry = { ...r, etag: etagFor(r.body), storedAt: Date.now() };
+      if (r.status === 200) {
+        cache.delete(key);
+        cache.set(key, entry);
+        if (cache.size > MAX_CACHE_ENTRIES) {
+          cache.delete(cache.keys().next().value);
+        }
+      }
+      return entry;
+    })
+    .finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+// Optional epoch-seconds query parameter: undefined when absent, NaN when
+// present but not a non-negative number.
+function readEpoch(raw) {
+  if (raw === undefined || raw === "") return undefined;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : NaN;
+}
+
+// Test hook: start from an empty cache
+export function clearCache() {
+  cache.clear();
+  inflight.clear();
+}
 
 export default async function handler(req, res) {
   try {
-    const { range = "2y", interval = "1d" } = req.query;
-
-    const symbol = "^GSPC";
-    const url =
-      "https://query1.finance.yahoo.com/v8/finance/chart/" +
-      encodeURIComponent(symbol) +
-      "?range=" +
-      encodeURIComponent(range) +
-      "&interval=" +
-      encodeURIComponent(interval);
-
-    const upstream = await fetch(url);
-    if (!upstream.ok) {
-      return res
-        .status(502)
-        .json({ error: "Upstream failed", status: upstream.status });
+    const { range = "2y", interval = "1d", basis = "price" } = req.query;
+
+    const symbol = String(req.query.symbol || "^GSPC").toUpperCase();
+    const compare = req.query.compare === "1";
+    if (
+      ALLOWED_SYMBOLS.indexOf(symbol) === -1 &&
+      !(compare && COMPARE_TICKER.test(symbol))
+    ) {
+      return res.status(400).json({
+        error: "Unsupported symbol: " + symbol,
+        allowed: ALLOWED_SYMBOLS,
+      });
     }
 
-    const j = await upstream.json();
-    const result = j && j.chart && j.chart.result && j.chart.result[0];
-    const ts = result && result.timestamp;
-    const close =
-      result &&
-      result.indicators &&
-      result.indicators.quote &&
-      result.indicators.quote[0] &&
-      result.indicators.quote[0].close;
-
-    if (!ts || !close) {
-      return res.status(500).json({ error: "Bad upstream data" });
+    const period1 = readEpoch(req.query.period1);
+    const period2 = readEpoch(req.query.period2);
+    if (
+      Number.isNaN(period1) ||
+      Number.isNaN(period2) ||
+      (period2 !== undefined && period1 === undefined) ||
+      (period1 !== undefined && period2 !== undefined && period2 <= period1)
+    ) {
+      return res.status(400).json({
+        error:
+          "Invalid period: period1/period2 must be epoch seconds with period1 < period2",
+      });
     }
 
-    const series = ts
-      .map((t, i) => ({
-        time: t * 1000, // ms since epoch
-        value: close[i],
-      }))
-      .filter((p) => Number.isFinite(p.value));
+    const span = period1 === undefined ? { range } : { period1, period2 };
+    const returnBasis = basis === "total" ? "total" : "price";
+    const key = [
+      symbol,
+      span.range || period1 + "-" + (period2 === undefined ? "now" : period2),
+      interval,
+      returnBasis,
+    ].join("|");
+    const load = () => fetchChart(symbol, span, interval, returnBasis);
+    const policy = cachePolicy(interval, period2);
+    const hit = cache.get(key);
+    const age = hit ? (Date.now() - hit.storedAt) / 1000 : Infinity;
+
+    let entry;
+    let cacheState;
+    if (hit && age < policy.fresh) {
+      entry = hit;
+      cacheState = "HIT";
+    } else if (hit && age < policy.fresh + policy.stale) {
+      // stale-while-revalidate: answer now, refresh in the background
+      entry = hit;
+      cacheState = "STALE";
+      loadCoalesced(key, load).catch((err) => {
+        console.error("Background refresh failed in /api/spx:", err);
+      });
+    } else {
+      entry = await loadCoalesced(key, load);
+      cacheState = "MISS";
+    }
+
+    if (entry.status !== 200) {
+      return res.status(entry.status).json(entry.body);
+    }
+
+    // Incremental answer: same cached chart, trimmed to bars >= since
+    const since = Number(req.query.since);
+    let body = entry.body;
+    let etag = entry.etag;
+    if (Number.isFinite(since)) {
+      body = {
+        ...entry.body,
+        series: entry.body.series.filter((p) => p.time >= since),
+        dividends: entry.body.dividends.filter((d) => d.time >= since),
+      };
+      etag = etagFor(body);
+    }
 
-    res.status(200).json({ series });
+    const entryAge = (Date.now() - entry.storedAt) / 1000;
+    const maxAge = Math.max(0, Math.floor(policy.fresh - entryAge));
+    res.setHeader(
+      "Cache-Control",
+      "public, max-age=" +
+        maxAge +
+        ", s-maxage=" +
+        maxAge +
+        ", stale-while-revalidate=" +
+        policy.stale
+    );
+    res.setHeader("ETag", etag);
+    res.setHeader("X-Cache", cacheState);
+
+    if (req.headers && etagMatches(req.headers["if-none-match"], etag)) {
+      return res.status(304).end();
+    }
+    res.status(200).json(body);
   } catch (err) {
     console.error("Error in /api/spx:", err);
     res.status(500).json({ error: "Internal error" });
@@ -0,0 +1,208 @@
+// /api/spx against a fake Yahoo upstream on localhost: cache states,
+// request coalescing, conditional GETs, `since` trimming and input checks.
+import { after, before, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+
+const T0 = Date.UTC(2024, 0, 2, 14, 30) / 1000;
+const CLOSES = [100, 101, 102, 103, 104];
+
+// Upstream calls seen, by request path + query
+let calls = [];
+let delayMs = 0;
+let server;
+let handler;
+let clearCache;
+
+function chartBody(url) {
+  // only the ETF pays dividends, like on Yahoo
+  const events = /\/SPY\?/.test(url)
+    ? { dividends: { [T0 + 3600]: { date: T0 + 3600, amount: 1.5 } } }
+    : undefined;
+  return {
+    chart: {
+      result: [
+        {
+          timestamp: CLOSES.map((_, i) => T0 + i * 3600),
+          events,
+          indicators: {
+            quote: [
+              {
+                open: CLOSES,
+                high: CLOSES.map((c) => c + 1),
+                low: CLOSES.map((c) => c - 1),
+                close: CLOSES,
+                volume: CLOSES.map(() => 10),
+              },
+            ],
+          },
+        },
+      ],
+    },
+  };
+}
+
+// Minimal Vercel-style req/res pair; resolves once the handler answers
+function call(query, headers = {}) {
+  return new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      headers: {},
+      body: undefined,
+      setHeader(name, value) {
+        this.headers[name.toLowerCase()] = value;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        resolve(this);
+      },
+      end() {
+        resolve(this);
+      },
+    };
+    handler({ query, headers }, res);
+  });
+}
+
+before(async () => {
+  server = createServer((req, res) => {
+    calls.push(req.url);
+    setTimeout(() => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(chartBody(req.url)));
+    }, delayMs);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  process.env.SPX_UPSTREAM_URL = "http://127.0.0.1:" + server.address().port;
+  // the upstream base is read when the module loads
+  ({ default: handler, clearCache } = await import("./spx.js"));
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  clearCache();
+  calls = [];
+  delayMs = 0;
+});
+
+describe("caching", () => {
+  const query = { symbol: "^GSPC", range: "5d", interval: "60m" };
+
+  it("goes MISS, then HIT, then STALE with a background refresh", async (t) => {
+    const first = await call(query);
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.headers["x-cache"], "MISS");
+    assert.equal(first.body.series.length, CLOSES.length);
+    assert.equal(first.body.series[0].time, T0 * 1000);
+
+    const second = await call(query);
+    assert.equal(second.headers["x-cache"], "HIT");
+    assert.equal(calls.length, 1);
+
+    // intraday entries are fresh for 60s, then served stale for 300s more
+    const now = Date.now();
+    t.mock.method(Date, "now", () => now + 120 * 1000);
+    const third = await call(query);
+    assert.equal(third.headers["x-cache"], "STALE");
+    assert.deepEqual(third.body, first.body);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(calls.length, 2);
+  });
+
+  it("sends concurrent identical requests upstream once", async () => {
+    delayMs = 30;
+    const answers = await Promise.all([call(query), call(query), call(query)]);
+    assert.equal(calls.length, 1);
+    assert.ok(answers.every((r) => r.statusCode === 200));
+  });
+
+  it("answers 304 when If-None-Match holds the current ETag", async () => {
+    const first = await call(query);
+    const etag = first.headers["etag"];
+    assert.match(etag, /^"[0-9a-f]+"$/);
+    assert.equal((await call(query, { "if-none-match": etag })).statusCode, 304);
+    assert.equal(
+      (await call(query, { "if-none-match": '"old", W/' + etag })).statusCode,
+      304
+    );
+    assert.equal((await call(query, { "if-none-match": '"old"' })).statusCode, 200);
+  });
+
+  it("trims the cached chart to bars at or after `since`", async () => {
+    await call(query);
+    const since = (T0 + 3 * 3600) * 1000;
+    const res = await call({ ...query, since: String(since) });
+    assert.deepEqual(
+      res.body.series.map((p) => p.value),
+      [103, 104]
+    );
+    assert.equal(calls.length, 1);
+  });
+});
+
+describe("total return", () => {
+  it("reads index levels from the TR index and dividends from its ETF", async () => {
+    const res = await call({ symbol: "^GSPC", range: "1y", interval: "1d", basis: "total" });
+    assert.equal(res.body.basis, "total");
+    assert.equal(res.body.source, "^SP500TR");
+    assert.equal(res.body.dividendSource, "SPY");
+    assert.deepEqual(res.body.dividends, [{ time: (T0 + 3600) * 1000, amount: 1.5 }]);
+    assert.deepEqual(
+      calls.map((u) => decodeURIComponent(u.split("?")[0])).sort(),
+      ["/v8/finance/chart/SPY", "/v8/finance/chart/^SP500TR"]
+    );
+  });
+
+  it("keeps price charts to a single upstream call", async () => {
+    const res = await call({ symbol: "^GSPC", range: "1y", interval: "1d" });
+    assert.equal(res.body.source, "^GSPC");
+    assert.deepEqual(res.body.dividends, []);
+    assert.equal(calls.length, 1);
+  });
+});
+
+describe("input checks", () => {
+  it("rejects symbols outside the allowlist", async () => {
+    const res = await call({ symbol: "EVIL" });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /Unsupported symbol/);
+  });
+
+  it("accepts plain tickers outside the allowlist only for comparisons", async () => {
+    assert.equal((await call({ symbol: "SOXL" })).statusCode, 400);
+    const res = await call({ symbol: "soxl", compare: "1", range: "1y", interval: "1d" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.symbol, "SOXL");
+    for (const symbol of ["^VIX", "ES=F", "TOOLONG"]) {
+      assert.equal((await call({ symbol, compare: "1" })).statusCode, 400, symbol);
+    }
+    assert.equal(calls.length, 1);
+  });
+
+  it("rejects malformed or inverted periods", async () => {
+    for (const q of [
+      { period1: "abc" },
+      { period1: "-5" },
+      { period2: "1700000000" },
+      { period1: "1700000000", period2: "1600000000" },
+    ]) {
+      const res = await call(q);
+      assert.equal(res.statusCode, 400, JSON.stringify(q));
+      assert.match(res.body.error, /Invalid period/);
+    }
+    assert.equal(calls.length, 0);
+  });
+
+  it("passes exact periods upstream", async () => {
+    const res = await call({ period1: "1700000000", period2: "1700086400", interval: "1d" });
+    assert.equal(res.statusCode, 200);
+    assert.match(calls[0], /period1=1700000000&period2=1700086400&interval=1d/);
+  });
+});
@@ -1,4 +1,41 @@
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useEffect, useId, useLayoutEffect, useMemo, useRef, useState } from "react";
+import {
+  alignAsOf,
+  buildChartScales,
+  buildDrawdown,
+  buildSyntheticSeries,
+  clamp,
+  computeStats,
+  findLiquidation,
+  intervalToStepMs,
+  leverageId,
+  lowerBound,
+  lttb,
+  MAX_LEVERAGE,
+  measureRange,
+  nearestIndex,
+  parseLeverage,
+  pointAt,
+  rebaseSeries,
+  sharedPrefixLength,
+  trackingStats,
+} from "./syntheticEngine.js";
+import {
+  EVENT_CATEGORIES,
+  eventWindow,
+  mergeEvents,
+  normalizeEvents,
+  parseEventFile,
+} from "./marketEvents.js";
+import EVENT_CATALOG from "./marketEvents.json";
+import {
+  fanChart,
+  FAN_PERCENTILES,
+  isValidSeed,
+  MAX_SEED,
+  SIMULATION_METHODS,
+  simulatePaths,
+} from "./monteCarlo.js";
 
 /** Simple local UI components so this works in a plain Vite app */
 function Card({ className = "", children }) {
@@ -28,7 +65,7 @@ function Button({ className = "", children, variant = "primary", ...props }) {
 }
 
 /*******************************************
- * LIVE SYNTHETIC S&P 500 (±1×…±10× SPX)
+ * LIVE SYNTHETIC S&P 500 (leveraged and inverse SPX)
  *******************************************/
 
 // -----------------------------------------
@@ -44,40 +81,170 @@ const INTERVAL_OPTIONS = [
   { label: "1M", value: "M" },
 ];
 
+// Underlyings the backend allowlists (keep in sync with api/spx.js).
+// `short` is used in series labels, e.g. "+3x NDX".
+const UNDERLYING_OPTIONS = [
+  { label: "S&P 500 (^GSPC)", value: "^GSPC", short: "SPX" },
+  { label: "Nasdaq-100 (^NDX)", value: "^NDX", short: "NDX" },
+  { label: "Russell 2000 (^RUT)", value: "^RUT", short: "RUT" },
+  { label: "DAX (^GDAXI)", value: "^GDAXI", short: "DAX" },
+  { label: "Apple (AAPL)", value: "AAPL", short: "AAPL" },
+  { label: "Microsoft (MSFT)", value: "MSFT", short: "MSFT" },
+  { label: "NVIDIA (NVDA)", value: "NVDA", short: "NVDA" },
+  { label: "Amazon (AMZN)", value: "AMZN", short: "AMZN" },
+  { label: "Alphabet (GOOGL)", value: "GOOGL", short: "GOOGL" },
+  { label: "Meta (META)", value: "META", short: "META" },
+  { label: "Tesla (TSLA)", value: "TSLA", short: "TSLA" },
+];
+
+// Live status indicator: label + dot colour
+const LIVE_STATUS = {
+  live: { label: "Live", color: "#16a34a" },
+  delayed: { label: "Delayed", color: "#f59e0b" },
+  closed: { label: "Market closed", color: "#64748b" },
+  paused: { label: "Paused", color: "#94a3b8" },
+  historical: { label: "Historical range", color: "#94a3b8" },
+};
+
+const CHART_STYLE_OPTIONS = [
+  { label: "Line", value: "line" },
+  { label: "Candles", value: "candle" },
+  { label: "OHLC bars", value: "bar" },
+];
+
+// Chart size floor; below this the chart scrolls sideways instead
+const MIN_CHART_WIDTH = 320;
+
+// Price pane height in CSS pixels; "auto" follows the measured width
+const CHART_HEIGHT_OPTIONS = [
+  { label: "Auto", value: "auto" },
+  { label: "Small (360px)", value: "360" },
+  { label: "Medium (520px)", value: "520" },
+  { label: "Large (680px)", value: "680" },
+  { label: "Extra large (860px)", value: "860" },
+];
+
+const BASIS_OPTIONS = [
+  { label: "Price return", value: "price" },
+  { label: "Total return", value: "total" },
+];
+
 const Y_SCALE_OPTIONS = [
   { label: "Linear", value: "linear" },
   { label: "Log", value: "log" },
   { label: "% (from left)", value: "percent" },
 ];
 
-// Synthetic leverage options: label is just "+2x SPX", "-5x SPX" etc.
+const REBALANCE_OPTIONS = [
+  { label: "Every bar", value: "bar" },
+  { label: "Daily (session close)", value: "daily" },
+  { label: "Weekly", value: "weekly" },
+  { label: "Monthly", value: "monthly" },
+  { label: "Drift threshold", value: "drift" },
+];
+
+// Series ids of the preset leverages (+1x to +10x, then -1x to -10x);
+// seriesLabel names them for the picked underlying
 function buildSyntheticOptions() {
   const opts = [];
-  for (let k = 1; k <= 10; k++) {
-    opts.push({ label: "+" + k + "x SPX", value: "SYNTHETIC:+" + k });
-  }
-  for (let k = 1; k <= 10; k++) {
-    opts.push({ label: "-" + k + "x SPX", value: "SYNTHETIC:-" + k });
-  }
+  for (let k = 1; k <= 10; k++) opts.push("SYNTHETIC:+" + k);
+  for (let k = 1; k <= 10; k++) opts.push("SYNTHETIC:-" + k);
   return opts;
 }
 const SYNTHETIC_PRESETS = buildSyntheticOptions();
 
+// Series id of the unlevered underlying (whatever symbol is picked)
+const SPX_SERIES = "SPX";
+
+// Real leveraged/inverse ETFs per underlying for "Compare to" (allowlisted
+// in api/spx.js). `leverage` picks the matching synthetic series.
+const COMPARE_ETFS = {
+  "^GSPC": [
+    { symbol: "SPY", leverage: 1 },
+    { symbol: "SSO", leverage: 2 },
+    { symbol: "UPRO", leverage: 3 },
+    { symbol: "SPXL", leverage: 3 },
+    { symbol: "SH", leverage: -1 },
+    { symbol: "SDS", leverage: -2 },
+    { symbol: "SPXU", leverage: -3 },
+    { symbol: "SPXS", leverage: -3 },
+  ],
+  "^NDX": [
+    { symbol: "QQQ", leverage: 1 },
+    { symbol: "QLD", leverage: 2 },
+    { symbol: "TQQQ", leverage: 3 },
+    { symbol: "PSQ", leverage: -1 },
+    { symbol: "QID", leverage: -2 },
+    { symbol: "SQQQ", leverage: -3 },
+  ],
+  "^RUT": [
+    { symbol: "IWM", leverage: 1 },
+    { symbol: "UWM", leverage: 2 },
+    { symbol: "TNA", leverage: 3 },
+    { symbol: "RWM", leverage: -1 },
+    { symbol: "TWM", leverage: -2 },
+    { symbol: "TZA", leverage: -3 },
+  ],
+};
+
+// Series id prefix of a compared real product, e.g. "ETF:UPRO"
+const COMPARE_PREFIX = "ETF:";
+const COMPARE_COLOR = "#d946ef";
+
+// Screen-reader-only content (kept in the accessibility tree, not painted)
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: "hidden",
+  clip: "rect(0, 0, 0, 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+// Overlay colours, assigned in list order after the primary series
+const SERIES_PALETTE = [
+  "#2563eb",
+  "#f59e0b",
+  "#8b5cf6",
+  "#06b6d4",
+  "#ec4899",
+  "#84cc16",
+  "#f97316",
+  "#14b8a6",
+];
+
 // -----------------------------------------
 // Utility helpers
 // -----------------------------------------
-function isSynthetic(value) {
-  return typeof value === "string" && value.indexOf("SYNTHETIC:") === 0;
+function underlyingShort(symbol) {
+  for (var i = 0; i < UNDERLYING_OPTIONS.length; i++) {
+    if (UNDERLYING_OPTIONS[i].value === symbol) return UNDERLYING_OPTIONS[i].short;
+  }
+  return String(symbol);
 }
 
-function parseLeverage(value) {
-  if (!isSynthetic(value)) return null;
-  var sign = value.indexOf(":-") !== -1 ? -1 : 1;
-  var raw = value.split(":")[1] || "";
-  raw = raw.replace("+", "").replace("-", "");
-  var n = Number(raw);
-  if (!isFinite(n)) return null;
-  return sign * n;
+// Display name of an underlying: its option label without the ticker
+function underlyingName(symbol) {
+  for (var i = 0; i < UNDERLYING_OPTIONS.length; i++) {
+    if (UNDERLYING_OPTIONS[i].value === symbol) {
+      return UNDERLYING_OPTIONS[i].label.replace(/ \(.*\)$/, "");
+    }
+  }
+  return String(symbol);
+}
+
+function seriesLabel(value, symbol) {
+  if (!symbol) symbol = "^GSPC";
+  if (value === SPX_SERIES) return symbol;
+  if (String(value).indexOf(COMPARE_PREFIX) === 0) {
+    return value.slice(COMPARE_PREFIX.length) + " (actual)";
+  }
+  var lev = parseLeverage(value);
+  if (lev === null) return String(value);
+  return (lev >= 0 ? "+" : "") + String(lev) + "x " + underlyingShort(symbol);
 }
 
 function formatDate(ts) {
@@ -86,6 +253,35 @@ function formatDate(ts) {
 }
 
 // Safe mappers
+function toSymbol(v) {
+  for (var i = 0; i < UNDERLYING_OPTIONS.length; i++) {
+    if (UNDERLYING_OPTIONS[i].value === v) return v;
+  }
+  return "^GSPC";
+}
+
+function toRebalance(v) {
+  if (v === "daily" || v === "weekly" || v === "monthly" || v === "drift") {
+    return v;
+  }
+  return "bar";
+}
+
+function toBasis(v) {
+  return v === "total" ? "total" : "price";
+}
+
+function toChartStyle(v) {
+  return v === "candle" || v === "bar" ? v : "line";
+}
+
+function toChartHeight(v) {
+  var found = CHART_HEIGHT_OPTIONS.find(function (o) {
+    return o.value === v;
+  });
+  return found ? found.value : "auto";
+}
+
 function toTheme(v) {
   return v === "dark" ? "dark" : "light";
 }
@@ -95,6 +291,309 @@ function toYMode(v) {
   return "linear";
 }
 
+// Any valid leverage id, in canonical form ("SYNTHETIC:+1.50" ->
+// "SYNTHETIC:+1.5"); presets are just the common ones
+function toPreset(v) {
+  return leverageId(parseLeverage(v)) || "SYNTHETIC:+1";
+}
+
+function isPreset(v) {
+  return SYNTHETIC_PRESETS.indexOf(v) !== -1;
+}
+
+// Text for the custom leverage input: empty while a preset is selected
+function customLeverageText(preset) {
+  return isPreset(preset) ? "" : String(parseLeverage(preset));
+}
+
+// "UPRO|3" -> { symbol: "UPRO", leverage: 3 }; null for "" or anything
+// malformed. Any ticker is accepted here; the API decides what it serves.
+function parseCompare(v) {
+  var m = /^([A-Z0-9.^=-]{1,15})\|(.+)$/.exec(String(v || "").toUpperCase());
+  if (!m) return null;
+  var id = leverageId(parseLeverage("SYNTHETIC:" + m[2]));
+  return id ? { symbol: m[1], leverage: parseLeverage(id) } : null;
+}
+
+function toCompare(v) {
+  var c = parseCompare(v);
+  return c ? c.symbol + "|" + c.leverage : "";
+}
+
+function toInterval(v) {
+  for (var i = 0; i < INTERVAL_OPTIONS.length; i++) {
+    if (INTERVAL_OPTIONS[i].value === v) return v;
+  }
+  return "60";
+}
+
+// -----------------------------------------
+// Permalinks: view state <-> URL query
+// -----------------------------------------
+const DEFAULT_VIEW = {
+  preset: "SYNTHETIC:+1",
+  symbol: "^GSPC",
+  interval: "60",
+  theme: "light",
+  startISO: "",
+  endISO: "",
+  baseValue: 100,
+  yMode: "linear",
+  basis: "price",
+  chartStyle: "line",
+  chartHeight: "auto",
+  showDrawdown: false,
+  riskFree: 0,
+  expenseRatio: 0,
+  borrowRate: 0,
+  swapSpread: 0,
+  rebalance: "bar",
+  driftThreshold: 10,
+  maintenanceMargin: 0,
+  compare: "",
+  overlays: [],
+  domain: undefined,
+};
+
+// Query keys for each view field; defaults are left out of the URL
+const VIEW_PARAMS = {
+  preset: "lev",
+  symbol: "sym",
+  interval: "iv",
+  theme: "theme",
+  startISO: "start",
+  endISO: "end",
+  baseValue: "base",
+  yMode: "y",
+  basis: "basis",
+  chartStyle: "style",
+  chartHeight: "h",
+  showDrawdown: "dd",
+  riskFree: "rf",
+  expenseRatio: "er",
+  borrowRate: "fin",
+  swapSpread: "swap",
+  rebalance: "rebal",
+  driftThreshold: "drift",
+  maintenanceMargin: "mm",
+  compare: "cmp",
+  overlays: "ov",
+};
+
+// Parses a query string into a full view; anything missing or invalid
+// falls back to DEFAULT_VIEW the same way the safe mappers above do.
+function readViewFromUrl(search) {
+  var q = new URLSearchParams(search || "");
+  var num = function (field, min) {
+    var raw = q.get(VIEW_PARAMS[field]);
+    var n = raw === null || raw === "" ? NaN : Number(raw);
+    if (!isFinite(n) || (typeof min === "number" && n < min)) {
+      return DEFAULT_VIEW[field];
+    }
+    return n;
+  };
+  var start = q.get(VIEW_PARAMS.startISO) || "";
+  var end = q.get(VIEW_PARAMS.endISO) || "";
+  // a zero base would make every synthetic value zero
+  var base = num("baseValue");
+  var overlays = (q.get(VIEW_PARAMS.overlays) || "")
+    .split(",")
+    .map(function (v) {
+      return v === SPX_SERIES ? v : leverageId(parseLeverage(v));
+    })
+    .filter(function (v, i, all) {
+      return v && all.indexOf(v) === i;
+    });
+  var x0 = Number(q.get("x0"));
+  var x1 = Number(q.get("x1"));
+  return {
+    preset: toPreset(q.get(VIEW_PARAMS.preset)),
+    symbol: toSymbol(q.get(VIEW_PARAMS.symbol)),
+    interval: toInterval(q.get(VIEW_PARAMS.interval)),
+    theme: toTheme(q.get(VIEW_PARAMS.theme)),
+    startISO: start && !isNaN(Date.parse(start)) ? start : "",
+    endISO: end && !isNaN(Date.parse(end)) ? end : "",
+    baseValue: base > 0 ? base : DEFAULT_VIEW.baseValue,
+    yMode: toYMode(q.get(VIEW_PARAMS.yMode)),
+    basis: toBasis(q.get(VIEW_PARAMS.basis)),
+    chartStyle: toChartStyle(q.get(VIEW_PARAMS.chartStyle)),
+    chartHeight: toChartHeight(q.get(VIEW_PARAMS.chartHeight)),
+    showDrawdown: q.get(VIEW_PARAMS.showDrawdown) === "1",
+    riskFree: num("riskFree"),
+    expenseRatio: num("expenseRatio", 0),
+    borrowRate: num("borrowRate"),
+    swapSpread: num("swapSpread", 0),
+    rebalance: toRebalance(q.get(VIEW_PARAMS.rebalance)),
+    driftThreshold: num("driftThreshold", 0),
+    maintenanceMargin: Math.min(99, num("maintenanceMargin", 0)),
+    compare: toCompare(q.get(VIEW_PARAMS.compare)),
+    overlays: overlays,
+    domain:
+      q.has("x0") && q.has("x1") && isFinite(x0) && isFinite(x1) && x1 > x0
+        ? { x0: x0, x1: x1 }
+        : undefined,
+  };
+}
+
+function viewToQuery(view) {
+  var q = new URLSearchParams();
+  Object.keys(VIEW_PARAMS).forEach(function (field) {
+    var v = view[field];
+    if (field === "overlays") {
+      if (v.length) q.set(VIEW_PARAMS[field], v.join(","));
+      return;
+    }
+    if (field === "showDrawdown") {
+      if (v) q.set(VIEW_PARAMS[field], "1");
+      return;
+    }
+    if (v !== DEFAULT_VIEW[field]) q.set(VIEW_PARAMS[field], String(v));
+  });
+  if (view.domain) {
+    q.set("x0", String(Math.round(view.domain.x0)));
+    q.set("x1", String(Math.round(view.domain.x1)));
+  }
+  var str = q.toString();
+  return str ? "?" + str : "";
+}
+
+// -----------------------------------------
+// Annotations: drawings saved per symbol/leverage
+// -----------------------------------------
+// Drawings live in data coordinates (`t` = ms since epoch, `v` = value of the
+// primary series), so zoom, pan and resizes carry them along with the data:
+// hline { v0 }, vline { t0 }, trend { t0, v0, t1, v1 }, note { t0, v0 }.
+// Every kind has an optional `text` label.
+const DRAW_TOOLS = [
+  { label: "Horizontal line", value: "hline" },
+  { label: "Trend line", value: "trend" },
+  { label: "Text note", value: "note" },
+  { label: "Date marker", value: "vline" },
+];
+
+const ANNOTATION_STORAGE_PREFIX = "live-sp500:annotations:";
+const ANNOTATION_COLOR = "#8b5cf6";
+
+function annotationStorageKey(symbol, preset) {
+  return ANNOTATION_STORAGE_PREFIX + symbol + "|" + preset;
+}
+
+// Safe mapper for stored drawings; anything malformed is dropped
+function toAnnotation(a) {
+  if (!a || typeof a !== "object" || typeof a.id !== "string") return null;
+  var num = Number.isFinite;
+  var ok =
+    a.type === "hline"
+      ? num(a.v0)
+      : a.type === "vline"
+      ? num(a.t0)
+      : a.type === "trend"
+      ? num(a.t0) && num(a.v0) && num(a.t1) && num(a.v1)
+      : a.type === "note"
+      ? num(a.t0) && num(a.v0)
+      : false;
+  if (!ok) return null;
+  return {
+    id: a.id,
+    type: a.type,
+    t0: num(a.t0) ? a.t0 : null,
+    v0: num(a.v0) ? a.v0 : null,
+    t1: num(a.t1) ? a.t1 : null,
+    v1: num(a.v1) ? a.v1 : null,
+    text: typeof a.text === "string" ? a.text : "",
+  };
+}
+
+function loadAnnotations(key) {
+  try {
+    var list = JSON.parse(window.localStorage.getItem(key) || "[]");
+    return Array.isArray(list) ? list.map(toAnnotation).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Storage can be full or disabled (private mode); drawings then last only
+// for the session
+function saveAnnotations(key, list) {
+  try {
+    if (list.length) {
+      window.localStorage.setItem(key, JSON.stringify(list));
+    } else {
+      window.localStorage.removeItem(key);
+    }
+  } catch {
+    // ignore
+  }
+}
+
+function newAnnotationId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+// -----------------------------------------
+// Market events: bundled catalog + imported files
+// -----------------------------------------
+const CATALOG_EVENTS = normalizeEvents(EVENT_CATALOG, "catalog");
+const IMPORTED_EVENTS_KEY = "live-sp500:events";
+
+// Imported events are kept across sessions (not per view, unlike drawings)
+function loadImportedEvents() {
+  try {
+    var list = JSON.parse(window.localStorage.getItem(IMPORTED_EVENTS_KEY) || "[]");
+    return normalizeEvents(list, "import");
+  } catch {
+    return [];
+  }
+}
+
+function saveImportedEvents(list) {
+  try {
+    if (list.length) {
+      window.localStorage.setItem(IMPORTED_EVENTS_KEY, JSON.stringify(list));
+    } else {
+      window.localStorage.removeItem(IMPORTED_EVENTS_KEY);
+    }
+  } catch {
+    // ignore
+  }
+}
+
+function eventCategory(value) {
+  return (
+    EVENT_CATEGORIES.find(function (c) {
+      return c.value === value;
+    }) || EVENT_CATEGORIES[EVENT_CATEGORIES.length - 1]
+  );
+}
+
+// Greedy word wrap for SVG text, which has no line breaking of its own
+function wrapText(text, maxChars, maxLines) {
+  var lines = [];
+  var line = "";
+  text.split(/\s+/).forEach(function (word) {
+    if (!word) return;
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? line + " " + word : word;
+    }
+  });
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines = lines.slice(0, maxLines);
+    lines[maxLines - 1] = lines[maxLines - 1].slice(0, maxChars - 1) + "…";
+  }
+  return lines;
+}
+
+// ms since epoch -> value for a datetime-local input (local time)
+function toLocalInputValue(ts) {
+  var d = new Date(ts);
+  return new Date(ts - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
 // -----------------------------------------
 // Data helpers
 // -----------------------------------------
@@ -108,23 +607,139 @@ const YAHOO_INTERVAL_MAP = {
   M: "1mo",
 };
 
+// Yahoo `range` bucket to request when no start/end date is set
+function pickRange(interval) {
+  // intraday intervals: keep short range (5 days); otherwise 10 years
+  if (interval === "1" || interval === "5" || interval === "15" || interval === "60") {
+    return "5d";
+  }
+  return "10y";
+}
+
+// Exclusive upper bound of the data for an end date: one bar past it, so
+// the bar covering the end time (e.g. that day's daily bar, stamped at the
+// session open) is kept. The fetch and the filter both use it.
+function endBound(interval, endTs) {
+  return endTs + (intervalToStepMs(interval) || 31 * 24 * 60 * 60 * 1000);
+}
+
+// Calendar margin fetched before the start date so the first chosen bar is
+// present even when the start falls on a weekend or holiday.
+function warmupMs(interval) {
+  var step = intervalToStepMs(interval) || 31 * 24 * 60 * 60 * 1000;
+  return Math.max(5 * step, 4 * 24 * 60 * 60 * 1000);
+}
+
+// What to ask /api/spx for: a `range` bucket when the window is open-ended
+// on both sides (cheap to cache and poll), otherwise exact period1/period2
+// bounds in epoch seconds, rounded outwards to the minute so equal windows
+// share a cache entry. period2 is the end date's endBound, or left out when
+// there is no end date ("until now").
+function fetchSpan(interval, startTs, endTs) {
+  if (!startTs && !endTs) return pickRange(interval);
+  var intraday = interval === "1" || interval === "5" || interval === "15" || interval === "60";
+  var defaultSpan = (intraday ? 5 : 10 * 365) * 24 * 60 * 60 * 1000;
+  var from = (startTs || endTs - defaultSpan) - warmupMs(interval);
+  var toMinute = function (ms) {
+    return Math.floor(ms / 60000) * 60;
+  };
+  return {
+    period1: toMinute(Math.max(0, from)),
+    period2: endTs ? Math.ceil(endBound(interval, endTs) / 60000) * 60 : undefined,
+  };
+}
+
+// Regular trading sessions (local minutes after midnight); US hours unless
+// listed. Exchange holidays are not modelled.
+const US_SESSION = { tz: "America/New_York", open: 9 * 60 + 30, close: 16 * 60 };
+const MARKET_SESSIONS = {
+  "^GDAXI": { tz: "Europe/Berlin", open: 9 * 60, close: 17 * 60 + 30 },
+};
+
+function isMarketOpen(symbol, now) {
+  var session = MARKET_SESSIONS[symbol] || US_SESSION;
+  var parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: session.tz,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(new Date(now));
+  var fields = {};
+  parts.forEach(function (p) {
+    fields[p.type] = p.value;
+  });
+  if (fields.weekday === "Sat" || fields.weekday === "Sun") return false;
+  var minutes = Number(fields.hour) * 60 + Number(fields.minute);
+  return minutes >= session.open && minutes < session.close;
+}
+
+// Merges freshly polled bars into `base`: a bar with an existing timestamp
+// replaces it (the still-forming last bar), later ones are appended.
+// Untouched bars keep their identity so derived series can resume.
+function mergeSeries(base, updates) {
+  if (!updates || !updates.length) return base;
+  if (!base.length) return updates.slice();
+  var firstNew = updates[0].time;
+  var cut = base.length;
+  while (cut > 0 && base[cut - 1].time >= firstNew) cut--;
+  var out = base.slice(0, cut);
+  for (var i = 0; i < updates.length; i++) {
+    if (!out.length || updates[i].time > out[out.length - 1].time) {
+      out.push(updates[i]);
+    }
+  }
+  return out;
+}
+
 /**
  * Frontend data fetcher: calls our own backend /api/spx
  * which in turn talks to Yahoo (or another data source).
  *
  * The backend should return:
- *   { series: [{ time: number(ms since epoch), value: number }, ...] }
+ *   { symbol, basis, source, dividendSource,
+ *     series: [{ time: number(ms since epoch), value: number,
+ *                open, high, low, close, volume }, ...],
+ *     dividends: [{ time, amount }, ...] }
+ *
+ * basis "total" asks for dividend-adjusted closes; the backend answers with
+ * the basis it could actually deliver (intraday bars are price-only).
+ * `source` is the symbol the closes came from (the total-return index for
+ * the main indices) and `dividendSource` the one the dividends came from.
+ * `span` is a Yahoo range bucket ("10y") or { period1, period2 } in epoch
+ * seconds (see fetchSpan). `since` (optional, ms) only returns bars at or
+ * after that time. `compare` marks a "Compare to" fetch, which the backend
+ * also allows for tickers outside its allowlist.
  */
-async function fetchYahooSPX(range, interval) {
+async function fetchYahooSPX(span, interval, symbol, basis, since, compare) {
+  const bounds =
+    typeof span === "string"
+      ? "range=" + encodeURIComponent(span)
+      : "period1=" +
+        span.period1 +
+        (span.period2 === undefined ? "" : "&period2=" + span.period2);
   const url =
-    "/api/spx?range=" +
-    encodeURIComponent(range) +
+    "/api/spx?" +
+    bounds +
     "&interval=" +
-    encodeURIComponent(interval);
+    encodeURIComponent(interval) +
+    "&symbol=" +
+    encodeURIComponent(symbol || "^GSPC") +
+    "&basis=" +
+    encodeURIComponent(basis || "price") +
+    (typeof since === "number" ? "&since=" + since : "") +
+    (compare ? "&compare=1" : "");
 
   const r = await fetch(url);
   if (!r.ok) {
-    throw new Error("Backend /api/spx failed: " + r.status);
+    let detail = "";
+    try {
+      const body = await r.json();
+      if (body && body.error) detail = " (" + body.error + ")";
+    } catch {
+      // non-JSON error body; status code is enough
+    }
+    throw new Error("Backend /api/spx failed: " + r.status + detail);
   }
 
   const j = await r.json();
@@ -133,31 +748,37 @@ async function fetchYahooSPX(range, interval) {
   }
 
   // Normalize & sanity-filter series
-  return j.series
+  const orValue = (x, v) => (Number.isFinite(x) ? x : v);
+  const series = j.series
     .map((p) => ({
       time: p.time,
       value: p.value,
+      open: orValue(p.open, p.value),
+      high: orValue(p.high, p.value),
+      low: orValue(p.low, p.value),
+      close: p.value,
+      volume: orValue(p.volume, 0),
     }))
     .filter((p) => Number.isFinite(p.value) && typeof p.time === "number");
+  const dividends = Array.isArray(j.dividends)
+    ? j.dividends.filter(
+        (d) => typeof d.time === "number" && Number.isFinite(d.amount)
+      )
+    : [];
+  return {
+    series: series,
+    dividends: dividends,
+    basis: j.basis === "total" ? "total" : "price",
+    source: typeof j.source === "string" ? j.source : symbol,
+    dividendSource: typeof j.dividendSource === "string" ? j.dividendSource : null,
+  };
 }
 
-function buildSyntheticSeries(spx, leverage, baseStart) {
-  if (!spx || spx.length === 0) return [];
-  if (typeof baseStart !== "number") baseStart = 100;
-  var base = baseStart;
-  var out = [];
-  for (var i = 0; i < spx.length; i++) {
-    if (i === 0) {
-      out.push({ time: spx[i].time, value: base });
-      continue;
-    }
-    var prev = spx[i - 1].value;
-    var curr = spx[i].value;
-    var r = prev ? (curr - prev) / prev : 0;
-    base = base * (1 + leverage * r);
-    out.push({ time: spx[i].time, value: base });
-  }
-  return out;
+function formatDuration(ms) {
+  var minutes = ms / 60000;
+  if (minutes < 60) return Math.round(minutes) + "m";
+  if (minutes < 24 * 60) return (minutes / 60).toFixed(1) + "h";
+  return Math.round(minutes / (24 * 60)) + "d";
 }
 
 // Demo fallback if network is blocked / backend fails
@@ -169,249 +790,342 @@ function buildDemoSPX(n) {
   for (var i = 0; i < n; i++) {
     var drift = 0.0002;
     var shock = (Math.sin(i / 12) + Math.random() - 0.5) * 5;
+    var open = price;
     price = Math.max(1, price * (1 + drift) + shock);
-    out.push({ time: start + i * 60 * 60 * 1000, value: price });
+    var wick = Math.random() * 3;
+    out.push({
+      time: start + i * 60 * 60 * 1000,
+      value: price,
+      open: open,
+      high: Math.max(open, price) + wick,
+      low: Math.max(1, Math.min(open, price) - wick),
+      close: price,
+      volume: 0,
+    });
   }
   return out;
 }
 
 // -----------------------------------------
-// Axis + scale utilities
+// Export helpers
 // -----------------------------------------
-function intervalToStepMs(interval) {
-  switch (interval) {
-    case "1":
-      return 60 * 1000;
-    case "5":
-      return 5 * 60 * 1000;
-    case "15":
-      return 15 * 60 * 1000;
-    case "60":
-      return 60 * 60 * 1000;
-    case "D":
-      return 24 * 60 * 60 * 1000;
-    case "W":
-      return 7 * 24 * 60 * 60 * 1000;
-    case "M":
-      return null;
-    default:
-      return 24 * 60 * 60 * 1000;
+const EXPORT_COLUMNS = [
+  { key: "iso", label: "timestamp_iso" },
+  { key: "time", label: "timestamp_ms" },
+  { key: "spx", label: "underlying_close" },
+  { key: "spxReturn", label: "underlying_bar_return" },
+  { key: "levReturn", label: "leveraged_bar_return" },
+  { key: "value", label: "synthetic_value" },
+  { key: "cumPct", label: "cumulative_pct_from_anchor" },
+];
+
+// Rows for [x0, x1] (or everything when x0/x1 are omitted). `synth` and `spx`
+// share indices; the anchor for cumulative % is the first exported bar.
+function buildExportRows(synth, spx, x0, x1) {
+  var rows = [];
+  var anchor = null;
+  for (var i = 0; i < synth.length; i++) {
+    var t = synth[i].time;
+    if (typeof x0 === "number" && t < x0) continue;
+    if (typeof x1 === "number" && t > x1) continue;
+    var first = anchor === null;
+    if (first) anchor = synth[i].value;
+    var prevS = i > 0 ? synth[i - 1].value : null;
+    var prevU = i > 0 && spx[i - 1] ? spx[i - 1].value : null;
+    var u = spx[i] ? spx[i].value : null;
+    rows.push({
+      iso: new Date(t).toISOString(),
+      time: t,
+      spx: u,
+      spxReturn: !first && prevU && u !== null ? u / prevU - 1 : null,
+      levReturn: !first && prevS ? synth[i].value / prevS - 1 : null,
+      value: synth[i].value,
+      cumPct: anchor ? (synth[i].value / anchor - 1) * 100 : null,
+    });
   }
+  return rows;
 }
 
-function alignToInterval(ts, interval) {
-  var d = new Date(ts);
-  if (interval === "M") {
-    d.setUTCDate(1);
-    d.setUTCHours(0, 0, 0, 0);
-    return d.getTime();
-  }
-  if (interval === "W") {
-    var day = d.getUTCDay();
-    var diff = (day + 6) % 7;
-    d.setUTCDate(d.getUTCDate() - diff);
-    d.setUTCHours(0, 0, 0, 0);
-    return d.getTime();
-  }
-  if (interval === "D") {
-    d.setUTCHours(0, 0, 0, 0);
-    return d.getTime();
-  }
-  if (interval === "60") {
-    d.setUTCMinutes(0, 0, 0);
-    return d.getTime();
-  }
-  if (interval === "15") {
-    d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 15) * 15, 0, 0);
-    return d.getTime();
-  }
-  if (interval === "5") {
-    d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 5) * 5, 0, 0);
-    return d.getTime();
-  }
-  if (interval === "1") {
-    d.setUTCSeconds(0, 0);
-    return d.getTime();
-  }
-  return d.getTime();
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  var str = String(v);
+  return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
 }
 
-function addInterval(ts, interval) {
-  if (interval === "M") {
-    var d = new Date(ts);
-    d.setUTCMonth(d.getUTCMonth() + 1);
-    return d.getTime();
-  }
-  var step = intervalToStepMs(interval);
-  if (!step) step = 24 * 60 * 60 * 1000;
-  return ts + step;
+// Metadata goes first as "# key,value" lines, then the header + data rows
+function toCsv(meta, rows) {
+  var lines = Object.keys(meta).map(function (k) {
+    return "# " + csvCell(k) + "," + csvCell(meta[k]);
+  });
+  lines.push(
+    EXPORT_COLUMNS.map(function (c) {
+      return c.label;
+    }).join(",")
+  );
+  rows.forEach(function (r) {
+    lines.push(
+      EXPORT_COLUMNS.map(function (c) {
+        return csvCell(r[c.key]);
+      }).join(",")
+    );
+  });
+  return lines.join("\n") + "\n";
 }
 
-function tickLabel(ts, interval) {
-  var d = new Date(ts);
-  if (interval === "1" || interval === "5" || interval === "15" || interval === "60") {
-    return d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
-  }
-  if (interval === "D" || interval === "W") {
-    return d.toLocaleDateString(undefined, { month: "short", day: "2-digit" });
-  }
-  return d.toLocaleDateString(undefined, { month: "short", year: "2-digit" });
+function toJson(meta, rows) {
+  return JSON.stringify({ meta: meta, rows: rows }, null, 2);
 }
 
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
+function xmlEscape(v) {
+  return String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
 }
 
-// Core path + ticks generator
-function useChartPath(data, width, height, padLeft, interval, domain, yMode, rightMargin) {
-  return useMemo(
-    function () {
-      if (!data || data.length === 0) {
-        return {
-          path: "",
-          xTicks: [],
-          xLabels: [],
-          yTicks: [],
-          xScale: function (t) { return t; },
-          yScale: function (v) { return v; },
-          last: null,
-          anchor: 0,
-        };
-      }
+// Excel 2003 XML Spreadsheet (SpreadsheetML): opens in Excel, LibreOffice
+// and Numbers without a zip library. Sheet 1 holds data, sheet 2 metadata.
+function toSpreadsheetXml(meta, rows) {
+  var cell = function (v) {
+    if (v === null || v === undefined) return "<Cell/>";
+    var type = typeof v === "number" ? "Number" : "String";
+    return '<Cell><Data ss:Type="' + type + '">' + xmlEscape(v) + "</Data></Cell>";
+  };
+  var row = function (cells) {
+    return "<Row>" + cells.map(cell).join("") + "</Row>";
+  };
+  var dataRows = [
+    row(
+      EXPORT_COLUMNS.map(function (c) {
+        return c.label;
+      })
+    ),
+  ].concat(
+    rows.map(function (r) {
+      return row(
+        EXPORT_COLUMNS.map(function (c) {
+          return r[c.key];
+        })
+      );
+    })
+  );
+  var metaRows = Object.keys(meta).map(function (k) {
+    return row([k, meta[k]]);
+  });
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<?mso-application progid="Excel.Sheet"?>\n' +
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" ' +
+    'xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">\n' +
+    '<Worksheet ss:Name="Series"><Table>' +
+    dataRows.join("") +
+    "</Table></Worksheet>\n" +
+    '<Worksheet ss:Name="Metadata"><Table>' +
+    metaRows.join("") +
+    "</Table></Worksheet>\n" +
+    "</Workbook>\n"
+  );
+}
 
-      var dataXMin = data[0].time;
-      var dataXMax = data[data.length - 1].time;
-      var xMin = Math.max(domain.x0, dataXMin);
-      var xMax = Math.min(domain.x1, dataXMax);
-
-      var slice = data.filter(function (d) { return d.time >= xMin && d.time <= xMax; });
-      if (!slice.length) slice = data.slice();
-      var anchor = slice[0].value;
-
-      var values = slice.map(function (s) { return s.value; });
-      var useLog = yMode === "log" && values.every(function (v) { return v > 0; });
-      var tf;
-      if (useLog) {
-        tf = function (v) { return Math.log(v); };
-      } else if (yMode === "percent") {
-        tf = function (v) {
-          var ref = Math.max(1e-9, anchor);
-          return (v / ref - 1) * 100;
-        };
-      } else {
-        tf = function (v) { return v; };
-      }
+function downloadBlob(filename, mime, content) {
+  var blob = content instanceof Blob ? content : new Blob([content], { type: mime });
+  var url = URL.createObjectURL(blob);
+  var a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(function () {
+    URL.revokeObjectURL(url);
+  }, 0);
+}
 
-      var invf;
-      if (useLog) {
-        invf = function (v) { return Math.exp(v); };
-      } else if (yMode === "percent") {
-        invf = function (p) {
-          var ref = Math.max(1e-9, anchor);
-          return ref * (1 + p / 100);
-        };
-      } else {
-        invf = function (v) { return v; };
-      }
+const SVG_NS = "http://www.w3.org/2000/svg";
+const EXPORT_FOOTER_HEIGHT = 24;
 
-      var tVals = values.map(tf);
-      var tMin = Math.min.apply(null, tVals);
-      var tMax = Math.max.apply(null, tVals);
-      if (!(isFinite(tMin) && isFinite(tMax))) {
-        tMin = 0;
-        tMax = 1;
-      }
-      if (tMin === tMax) {
-        tMin -= 1;
-        tMax += 1;
-      }
-      var padTopBottom = (tMax - tMin) * 0.1;
-      tMin -= padTopBottom;
-      tMax += padTopBottom;
+/**
+ * Serializes the on-screen chart <svg> for download. Elements marked
+ * data-transient="true" (the crosshair) are dropped unless
+ * opts.includeCrosshair, data-export-only="true" ones (the series, which
+ * the screen shows on a canvas) are unhidden, and a footer line is appended
+ * under the chart.
+ * Returns { markup, width, height } in viewBox units.
+ */
+function serializeChartSvg(svgEl, footer, opts) {
+  var clone = svgEl.cloneNode(true);
+  if (!(opts && opts.includeCrosshair)) {
+    var transient = clone.querySelectorAll('[data-transient="true"]');
+    for (var i = 0; i < transient.length; i++) {
+      transient[i].parentNode.removeChild(transient[i]);
+    }
+  }
+  // on screen these are painted on the canvas underneath
+  var exportOnly = clone.querySelectorAll('[data-export-only="true"]');
+  for (var j = 0; j < exportOnly.length; j++) {
+    exportOnly[j].removeAttribute("display");
+  }
+  var vb = (svgEl.getAttribute("viewBox") || "0 0 1200 640").split(/\s+/).map(Number);
+  var width = vb[2];
+  var height = vb[3] + EXPORT_FOOTER_HEIGHT;
 
-      var xScale = function (t) {
-        return (
-          padLeft + ((t - xMin) / Math.max(1, xMax - xMin)) * (width - padLeft - rightMargin)
-        );
-      };
-      var yScale = function (v) {
-        return (
-          height -
-          padLeft -
-          ((tf(v) - tMin) / Math.max(1e-9, tMax - tMin)) * (height - 2 * padLeft)
-        );
-      };
+  var bgRect = document.createElementNS(SVG_NS, "rect");
+  bgRect.setAttribute("x", "0");
+  bgRect.setAttribute("y", "0");
+  bgRect.setAttribute("width", String(width));
+  bgRect.setAttribute("height", String(height));
+  bgRect.setAttribute("fill", (opts && opts.background) || "#ffffff");
+  clone.insertBefore(bgRect, clone.firstChild);
 
-      var dPath = "";
-      for (var i = 0; i < slice.length; i++) {
-        var x = xScale(slice[i].time);
-        var y = yScale(slice[i].value);
-        dPath += i === 0 ? "M " + x + " " + y : " L " + x + " " + y;
-      }
+  var text = document.createElementNS(SVG_NS, "text");
+  text.setAttribute("x", "10");
+  text.setAttribute("y", String(height - 8));
+  text.setAttribute("font-size", "11");
+  text.setAttribute("fill", (opts && opts.foreground) || "#0f172a");
+  text.textContent = footer;
+  clone.appendChild(text);
 
-      var xTicks = [];
-      var t = alignToInterval(xMin, interval);
-      var guard = 5000;
-      var count = 0;
-      while (t <= xMax && count < guard) {
-        xTicks.push({ x: xScale(t), ts: t });
-        t = addInterval(t, interval);
-        count++;
-      }
-      if (xTicks.length < 2) {
-        xTicks.push({ x: xScale(xMin), ts: xMin });
-        xTicks.push({ x: xScale(xMax), ts: xMax });
-      }
+  clone.setAttribute("viewBox", "0 0 " + width + " " + height);
+  clone.setAttribute("width", String(width));
+  clone.setAttribute("height", String(height));
+  clone.setAttribute("font-family", "system-ui, Helvetica, Arial, sans-serif");
+  clone.removeAttribute("style");
+  // interactive-only attributes mean nothing in a standalone file
+  clone.removeAttribute("tabindex");
+  clone.removeAttribute("aria-describedby");
+  clone.setAttribute("role", "img");
+  return {
+    markup: new XMLSerializer().serializeToString(clone),
+    width: width,
+    height: height,
+  };
+}
 
-      var MIN_GAP = 80;
-      var xLabels = [];
-      var lastLabeledX = -Infinity;
-      xTicks.forEach(function (tick) {
-        if (tick.x - lastLabeledX >= MIN_GAP) {
-          xLabels.push({ x: tick.x, label: tickLabel(tick.ts, interval) });
-          lastLabeledX = tick.x;
-        }
-      });
-      if (xLabels.length > 0) {
-        var first = xLabels[0];
-        var lastLabel = xLabels[xLabels.length - 1];
-        var wantsFirst = Math.abs(first.x - xTicks[0].x) > MIN_GAP / 2;
-        var wantsLast = Math.abs(lastLabel.x - xTicks[xTicks.length - 1].x) > MIN_GAP / 2;
-        if (wantsFirst) xLabels.unshift({ x: xTicks[0].x, label: tickLabel(xTicks[0].ts, interval) });
-        if (wantsLast) xLabels.push({ x: xTicks[xTicks.length - 1].x, label: tickLabel(xTicks[xTicks.length - 1].ts, interval) });
-      }
+// Rasterizes serialized SVG markup at `scale` (1, 2, 4...) into a PNG blob
+function svgToPngBlob(svg, scale) {
+  return new Promise(function (resolve, reject) {
+    var url = URL.createObjectURL(
+      new Blob([svg.markup], { type: "image/svg+xml;charset=utf-8" })
+    );
+    var img = new Image();
+    img.onload = function () {
+      var canvas = document.createElement("canvas");
+      canvas.width = Math.round(svg.width * scale);
+      canvas.height = Math.round(svg.height * scale);
+      var ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, svg.width, svg.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(function (blob) {
+        if (blob) resolve(blob);
+        else reject(new Error("PNG encoding failed"));
+      }, "image/png");
+    };
+    img.onerror = function () {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render chart image"));
+    };
+    img.src = url;
+  });
+}
 
-      var yTicks = [];
-      var tickCount = 6;
-      for (var j = 0; j < tickCount; j++) {
-        var tv = tMin + ((tMax - tMin) / (tickCount - 1)) * j;
-        var raw = invf(tv);
-        var label;
-        if (yMode === "percent") {
-          var pct = (raw / Math.max(1e-9, anchor) - 1) * 100;
-          label = pct.toFixed(1) + "%";
-        } else {
-          label = raw.toFixed(2);
-        }
-        var yTick =
-          height - padLeft - ((tv - tMin) / Math.max(1e-9, tMax - tMin)) * (height - 2 * padLeft);
-        yTicks.push({ y: yTick, label: label });
-      }
+// -----------------------------------------
+// Canvas painting
+// -----------------------------------------
+// Paints the price pane's series (lines, or candles/OHLC bars for the
+// primary) from useChartPath output onto `canvas` at device resolution.
+// `colors` lines up with chart.series.
+function drawChartCanvas(canvas, chart, width, height, chartStyle, colors, upColor, downColor) {
+  var ctx = canvas.getContext && canvas.getContext("2d");
+  if (!ctx) return;
+  var dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.lineJoin = "round";
 
-      var last = slice.length ? slice[slice.length - 1] : null;
+  function strokeLine(points, color, lineWidth) {
+    if (!points.length) return;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (var i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+  }
 
-      return {
-        path: dPath,
-        xTicks: xTicks,
-        xLabels: xLabels,
-        yTicks: yTicks,
-        xScale: xScale,
-        yScale: yScale,
-        last: last,
-        anchor: anchor,
-      };
+  // overlays first so the primary stays on top
+  for (var k = chart.series.length - 1; k >= 1; k--) {
+    strokeLine(chart.series[k].points, colors[k], 2);
+  }
+  if (chartStyle === "line") {
+    if (chart.series[0]) strokeLine(chart.series[0].points, colors[0], 3);
+    return;
+  }
+
+  ctx.lineWidth = 1;
+  chart.bars.forEach(function (b) {
+    var barColor = b.up ? upColor : downColor;
+    ctx.strokeStyle = barColor;
+    ctx.beginPath();
+    ctx.moveTo(b.x, b.high);
+    ctx.lineTo(b.x, b.low);
+    if (chartStyle === "bar") {
+      ctx.moveTo(b.x - b.w / 2, b.open);
+      ctx.lineTo(b.x, b.open);
+      ctx.moveTo(b.x, b.close);
+      ctx.lineTo(b.x + b.w / 2, b.close);
+    }
+    ctx.stroke();
+    if (chartStyle === "candle") {
+      ctx.fillStyle = barColor;
+      ctx.fillRect(
+        b.x - b.w / 2,
+        Math.min(b.open, b.close),
+        b.w,
+        Math.max(1, Math.abs(b.close - b.open))
+      );
+    }
+  });
+}
+
+// -----------------------------------------
+// Monte Carlo fan
+// -----------------------------------------
+// Monte Carlo fan of `sim`, tagged with the inputs it was built for so a
+// later change of leverage, costs or drawdown limit can be told apart
+function buildFanState(sim, leverage, baseValue, synthOpts, drawdown) {
+  return {
+    sim: sim,
+    leverage: leverage,
+    baseValue: baseValue,
+    synthOpts: synthOpts,
+    drawdown: drawdown,
+    result: fanChart(sim, leverage, baseValue, synthOpts, drawdown / 100),
+  };
+}
+
+// -----------------------------------------
+// Axis + scale utilities
+// -----------------------------------------
+// Memoized buildChartScales (see syntheticEngine.js) for the component
+function useChartPath(series, width, height, padLeft, interval, domain, yMode, rightMargin, chartStyle) {
+  return useMemo(
+    function () {
+      return buildChartScales(series, {
+        width: width,
+        height: height,
+        padLeft: padLeft,
+        rightMargin: rightMargin,
+        interval: interval,
+        domain: { x0: domain.x0, x1: domain.x1 },
+        yMode: yMode,
+        chartStyle: chartStyle,
+      });
     },
-    [data, width, height, padLeft, interval, domain.x0, domain.x1, yMode, rightMargin]
+    [series, width, height, padLeft, interval, domain.x0, domain.x1, yMode, rightMargin, chartStyle]
   );
 }
 
@@ -420,23 +1134,180 @@ function useChartPath(data, width, height, padLeft, interval, domain, yMode, rig
 // -----------------------------------------
 export default function LiveSP500Canvas() {
   const svgRef = useRef(null);
-  const [preset, setPreset] = useState("SYNTHETIC:+1");
-  const [interval, setInterval] = useState("60");
-  const [theme, setTheme] = useState("light");
+  const chartHelpId = useId();
+  const chartSummaryId = useId();
+  // chart section; its content width becomes the SVG's pixel width
+  const chartBoxRef = useRef(null);
+  const [boxWidth, setBoxWidth] = useState(1200);
+  // initial view comes from the URL (shared permalink), else defaults
+  const [urlView] = useState(function () {
+    return readViewFromUrl(window.location.search);
+  });
+  const [preset, setPreset] = useState(urlView.preset);
+  const [symbol, setSymbol] = useState(urlView.symbol);
+  const [interval, setInterval] = useState(urlView.interval);
+  const [theme, setTheme] = useState(urlView.theme);
   const [key, setKey] = useState(0);
   const [error, setError] = useState("");
   const [rawData, setRawData] = useState([]);
+  const [basis, setBasis] = useState(urlView.basis);
+  // what the backend actually delivered, plus dividend events (total only)
+  const [dataBasis, setDataBasis] = useState("price");
+  const [dividends, setDividends] = useState([]);
+  const [dataSource, setDataSource] = useState({ source: null, dividendSource: null });
+  // Where total-return data came from when it isn't the symbol itself: the
+  // main indices chart their total-return index, with dividend dates (and
+  // per-share amounts) from an ETF on the same index
+  const basisNote =
+    dataBasis !== "total"
+      ? ""
+      : [
+          dataSource.source && dataSource.source !== symbol
+            ? "levels of " + dataSource.source
+            : "",
+          dataSource.dividendSource && dataSource.dividendSource !== symbol
+            ? "dividends of " + dataSource.dividendSource
+            : "",
+        ]
+          .filter(Boolean)
+          .join(", ");
+
+  // live mode: poll for new/updated bars during market hours
+  const [live, setLive] = useState(true);
+  const [liveStatus, setLiveStatus] = useState("paused");
+  const [usingDemo, setUsingDemo] = useState(false);
+  const rawRef = useRef(rawData);
+
+  const [startISO, setStartISO] = useState(urlView.startISO);
+  const [endISO, setEndISO] = useState(urlView.endISO);
+  const [baseValue, setBaseValue] = useState(urlView.baseValue);
+  // Base field text; only a positive number reaches baseValue
+  const [baseInput, setBaseInput] = useState(String(urlView.baseValue));
+  const [yMode, setYMode] = useState(urlView.yMode);
+  const [chartStyle, setChartStyle] = useState(urlView.chartStyle);
+  const [chartHeight, setChartHeight] = useState(urlView.chartHeight);
+  const [showDrawdown, setShowDrawdown] = useState(urlView.showDrawdown);
+  // risk-free rate for Sharpe/Sortino, in % per year
+  const [riskFree, setRiskFree] = useState(urlView.riskFree);
+
+  // fund costs, in % per year (0 = frictionless)
+  const [expenseRatio, setExpenseRatio] = useState(urlView.expenseRatio);
+  const [borrowRate, setBorrowRate] = useState(urlView.borrowRate);
+  const [swapSpread, setSwapSpread] = useState(urlView.swapSpread);
 
-  const [startISO, setStartISO] = useState("");
-  const [baseValue, setBaseValue] = useState(100);
-  const [yMode, setYMode] = useState("linear");
+  // rebalancing schedule, independent of the chart interval
+  const [rebalance, setRebalance] = useState(urlView.rebalance);
+  const [driftThreshold, setDriftThreshold] = useState(urlView.driftThreshold);
+  // equity the position must keep, in % of exposure (0 = only a total loss
+  // liquidates)
+  const [maintenanceMargin, setMaintenanceMargin] = useState(urlView.maintenanceMargin);
 
   const leverage = parseLeverage(preset) || 1;
+  // custom leverage as typed; applied only once it is a valid multiple
+  const [customLeverage, setCustomLeverage] = useState(function () {
+    return customLeverageText(urlView.preset);
+  });
+
+  // extra series drawn on top of the primary preset (other presets or SPX)
+  const [overlays, setOverlays] = useState(urlView.overlays);
+  // real product to compare against ("SYMBOL|leverage", "" = off), fetched
+  // separately and drawn next to the synthetic with the same leverage
+  const [compare, setCompare] = useState(urlView.compare);
+  const [compareRaw, setCompareRaw] = useState([]);
+  const compareRef = useRef(compareRaw);
+  const [compareError, setCompareError] = useState("");
+  // "Other symbol…" form, as typed
+  const [compareOther, setCompareOther] = useState(false);
+  const [compareText, setCompareText] = useState(function () {
+    const c = parseCompare(urlView.compare);
+    return c
+      ? { symbol: c.symbol, leverage: String(c.leverage) }
+      : { symbol: "", leverage: "1" };
+  });
+  // Monte Carlo settings as typed, and the last run's simulated underlying
+  // paths; only Run regenerates them, leverage and costs apply on top
+  const [mcMethod, setMcMethod] = useState("bootstrap");
+  const [mcPaths, setMcPaths] = useState(500);
+  const [mcHorizon, setMcHorizon] = useState(252);
+  const [mcDrift, setMcDrift] = useState(7);
+  const [mcVolatility, setMcVolatility] = useState(18);
+  const [mcSeed, setMcSeed] = useState(1);
+  const [mcDrawdown, setMcDrawdown] = useState(30);
+  const [simulation, setSimulation] = useState(null);
+  const [fanState, setFanState] = useState(null);
+  const [simulationError, setSimulationError] = useState("");
+  const compareEtfs = COMPARE_ETFS[symbol] || [];
+  const compareChoice =
+    compareOther ||
+    (compare &&
+      !compareEtfs.some(function (etf) {
+        return etf.symbol + "|" + etf.leverage === compare;
+      }))
+      ? "other"
+      : compare;
+  const compareOtherValue = toCompare(
+    compareText.symbol.trim() + "|" + compareText.leverage.trim()
+  );
 
   const [domain, setDomain] = useState(undefined);
+  // zoom from the URL, applied once the matching data has loaded
+  const pendingDomain = useRef(urlView.domain);
+  // zoom last set by the app rather than the user (a restored URL zoom, the
+  // live slide); the URL follows it without adding a history entry
+  const autoDomain = useRef(undefined);
+  const [copied, setCopied] = useState(false);
+  const [exportRange, setExportRange] = useState("visible");
+  const [exportCrosshair, setExportCrosshair] = useState(false);
   const [isPanning, setIsPanning] = useState(false);
+  // Measure tool: bars { a, b } of synth; `fixed` once the second point is
+  // placed. Shift-drag measures any time; measure mode also takes clicks.
+  const [measureMode, setMeasureMode] = useState(false);
+  const [measure, setMeasure] = useState(null);
+  const measureDrag = useRef(false);
+  // Drawings for the current symbol/leverage, tagged with the storage key
+  // they were loaded from. `drawTool` is the kind the next click places; a
+  // trend line waits in `draft` until its second point is set.
+  const annotationKey = annotationStorageKey(symbol, preset);
+  const [annotationStore, setAnnotationStore] = useState(function () {
+    return { key: annotationKey, items: loadAnnotations(annotationKey) };
+  });
+  const annotations =
+    annotationStore.key === annotationKey ? annotationStore.items : [];
+  const [drawTool, setDrawTool] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const draftDrag = useRef(false);
+  const annotationClipId = "annot-clip" + useId().replace(/[^\w-]/g, "");
+  // Market events: catalog + imported files, filtered by category; the
+  // hovered marker shows a card
+  const [importedEvents, setImportedEvents] = useState(loadImportedEvents);
+  const [eventFilter, setEventFilter] = useState(function () {
+    return EVENT_CATEGORIES.map(function (c) {
+      return c.value;
+    });
+  });
+  const [eventError, setEventError] = useState("");
+  const [hoverEventId, setHoverEventId] = useState(null);
   const panStart = useRef(null);
-  const [cross, setCross] = useState(null);
+  // crosshair bar { ts, index, price, fromKeyboard }; pixel position is
+  // derived per render so it follows zoom/pan
+  const [crossState, setCross] = useState(null);
+  // latest view change worth announcing to screen readers
+  const [announcement, setAnnouncement] = useState("");
+
+  // Track the chart section's real width so the SVG is drawn 1:1 in CSS
+  // pixels instead of a fixed viewBox being stretched to fit.
+  useEffect(function () {
+    const el = chartBoxRef.current;
+    if (!el || typeof ResizeObserver === "undefined") return;
+    const ro = new ResizeObserver(function (entries) {
+      const w = Math.floor(entries[0].contentRect.width);
+      if (w > 0) setBoxWidth(w);
+    });
+    ro.observe(el);
+    return function () {
+      ro.disconnect();
+    };
+  }, []);
 
   // parse the user-provided start datetime
   const startTs = useMemo(
@@ -448,8 +1319,19 @@ export default function LiveSP500Canvas() {
     },
     [startISO]
   );
+  const endTs = useMemo(
+    function () {
+      if (!endISO) return undefined;
+      const ts = Date.parse(endISO);
+      if (isNaN(ts)) return undefined;
+      return ts;
+    },
+    [endISO]
+  );
+  // an end date in the past freezes the data; nothing to poll for
+  const historical = endTs !== undefined && endTs < Date.now();
 
-  // fetch data (via /api/spx), range depends on interval + startTs
+  // fetch data (via /api/spx) for exactly the start/end window (see fetchSpan)
   useEffect(
     function () {
       let cancelled = false;
@@ -457,39 +1339,24 @@ export default function LiveSP500Canvas() {
         setError("");
 
         const yInterval = YAHOO_INTERVAL_MAP[interval] || "1d";
-        const now = Date.now();
-
-        let range;
-
-        // intraday intervals: keep short range (5 days)
-        if (interval === "1" || interval === "5" || interval === "15" || interval === "60") {
-          range = "5d";
-        } else {
-          // daily/weekly/monthly: range depends on how far back startTs is
-          if (!startTs) {
-            // no start date: default to 10 years
-            range = "10y";
-          } else {
-            const diffYears =
-              (now - startTs) / (365 * 24 * 60 * 60 * 1000);
-
-            if (diffYears > 10) {
-              range = "max";
-            } else if (diffYears > 5) {
-              range = "10y";
-            } else if (diffYears > 2) {
-              range = "5y";
-            } else {
-              range = "2y";
-            }
-          }
-        }
+        const span = fetchSpan(interval, startTs, endTs);
 
         try {
-          const spx = await fetchYahooSPX(range, yInterval);
+          const res = await fetchYahooSPX(span, yInterval, symbol, basis);
           if (!cancelled) {
-            setRawData(spx);
-            setDomain(undefined);
+            if (basis === "total" && res.basis !== "total") {
+              setError(
+                "Total return is not available for this interval; showing price return."
+              );
+            }
+            setRawData(res.series);
+            setDataBasis(res.basis);
+            setDividends(res.dividends);
+            setDataSource({ source: res.source, dividendSource: res.dividendSource });
+            setUsingDemo(false);
+            autoDomain.current = pendingDomain.current;
+            setDomain(pendingDomain.current);
+            pendingDomain.current = undefined;
           }
         } catch (e) {
           if (!cancelled) {
@@ -498,7 +1365,13 @@ export default function LiveSP500Canvas() {
             );
             const demo = buildDemoSPX();
             setRawData(demo);
-            setDomain(undefined);
+            setDataBasis("price");
+            setDividends([]);
+            setDataSource({ source: null, dividendSource: null });
+            setUsingDemo(true);
+            autoDomain.current = pendingDomain.current;
+            setDomain(pendingDomain.current);
+            pendingDomain.current = undefined;
           }
         }
       })();
@@ -506,69 +1379,359 @@ export default function LiveSP500Canvas() {
         cancelled = true;
       };
     },
-    [interval, key, startTs]
+    [interval, key, startTs, endTs, symbol, basis]
   );
 
-  // Whenever startTs *or* the underlying data set changes,
-  // reset zoom/pan so the chart refits to the new visible range.
+  // Compared product over the same window, loaded once the main series is in
+  // and reloaded with it
+  const compareSymbol = compare ? compare.split("|")[0] : "";
+  const hasRawData = rawData.length > 0;
   useEffect(
     function () {
-      if (!rawData.length) return;
-      setDomain(undefined);
-    },
-    [startTs, rawData.length]
-  );
-
-  // Filter rawData by startTs, clamped to the available data range.
-  const filteredData = useMemo(
-    function () {
-      if (!rawData.length) return rawData;
-      if (!startTs) return rawData;
-
-      const minTs = rawData[0].time;
-      const maxTs = rawData[rawData.length - 1].time;
-
-      // If start date is after the last data point -> no data
-      if (startTs > maxTs) {
-        console.log("[start filter] startTs after maxTs → empty set", {
-          startTs,
-          maxTs,
-        });
-        return [];
+      if (!compareSymbol) {
+        setCompareRaw([]);
+        setCompareError("");
+        return;
       }
+      if (!hasRawData) return;
+      let cancelled = false;
+      (async function () {
+        const yInterval = YAHOO_INTERVAL_MAP[interval] || "1d";
+        const span = fetchSpan(interval, startTs, endTs);
+        try {
+          const res = await fetchYahooSPX(span, yInterval, compareSymbol, basis, undefined, true);
+          if (!cancelled) {
+            setCompareRaw(res.series);
+            setCompareError(
+              res.series.length ? "" : "No " + compareSymbol + " data in this range."
+            );
+          }
+        } catch (e) {
+          if (!cancelled) {
+            setCompareRaw([]);
+            setCompareError(
+              "Could not load " +
+                compareSymbol +
+                ": " +
+                ((e && e.message) || "request failed")
+            );
+          }
+        }
+      })();
+      return function () {
+        cancelled = true;
+      };
+    },
+    [compareSymbol, interval, key, startTs, endTs, basis, hasRawData]
+  );
+
+  useEffect(
+    function () {
+      compareRef.current = compareRaw;
+    },
+    [compareRaw]
+  );
+
+  // When live bars extend the main series, fetch only the compared product's
+  // updated last bar and newer ones (like the live poll) and merge them in
+  const lastRawTime = hasRawData ? rawData[rawData.length - 1].time : 0;
+  useEffect(
+    function () {
+      const current = compareRef.current;
+      if (!compareSymbol || !current.length) return;
+      const since = current[current.length - 1].time;
+      if (lastRawTime <= since) return;
+      let cancelled = false;
+      (async function () {
+        const yInterval = YAHOO_INTERVAL_MAP[interval] || "1d";
+        const span = fetchSpan(interval, startTs, endTs);
+        try {
+          const res = await fetchYahooSPX(span, yInterval, compareSymbol, basis, since, true);
+          if (!cancelled && res.series.length) {
+            setCompareRaw(function (prev) {
+              return mergeSeries(prev, res.series);
+            });
+          }
+        } catch {
+          // the next tick tries again; the full series is still shown
+        }
+      })();
+      return function () {
+        cancelled = true;
+      };
+    },
+    [compareSymbol, interval, startTs, endTs, basis, lastRawTime]
+  );
+
+  // Whenever startTs/endTs change, reset zoom/pan so the chart refits to the
+  // new visible range. Full loads reset it in the fetch above; live appends
+  // don't.
+  useEffect(
+    function () {
+      setDomain(undefined);
+    },
+    [startTs, endTs]
+  );
+
+  // Measurements point at bar indices, which a different data set reuses
+  useEffect(
+    function () {
+      setMeasure(null);
+    },
+    [interval, symbol, basis, startTs, endTs]
+  );
+
+  // Another symbol/leverage brings its own drawings
+  useEffect(
+    function () {
+      setAnnotationStore(function (s) {
+        return s.key === annotationKey
+          ? s
+          : { key: annotationKey, items: loadAnnotations(annotationKey) };
+      });
+      setDraft(null);
+    },
+    [annotationKey]
+  );
+
+  useEffect(
+    function () {
+      saveAnnotations(annotationStore.key, annotationStore.items);
+    },
+    [annotationStore]
+  );
+
+  useEffect(
+    function () {
+      saveImportedEvents(importedEvents);
+    },
+    [importedEvents]
+  );
+
+  useEffect(
+    function () {
+      rawRef.current = rawData;
+    },
+    [rawData]
+  );
 
-      // Clamp to the earliest available point if user picks a very old date
-      const effectiveStart = Math.max(startTs, minTs);
-
-      const result = rawData.filter(function (p) {
-        return p.time >= effectiveStart;
-      });
-
-      console.log("[start filter]", {
-        rawLen: rawData.length,
-        filteredLen: result.length,
-        startTs,
-        minTs,
-        maxTs,
-        effectiveStart,
-        startISO,
-      });
-
-      return result;
-    },
-    [rawData, startTs, startISO]
-  );
-
+  // live polling: merge the updated last bar and any new ones into rawData
+  useEffect(
+    function () {
+      if (historical) {
+        setLiveStatus("historical");
+        return;
+      }
+      if (!live || usingDemo) {
+        setLiveStatus("paused");
+        return;
+      }
+      let cancelled = false;
+      let timer = null;
+      const yInterval = YAHOO_INTERVAL_MAP[interval] || "1d";
+      const span = fetchSpan(interval, startTs, endTs);
+      const step = intervalToStepMs(interval) || 31 * 24 * 60 * 60 * 1000;
+      const pollMs = step < 24 * 60 * 60 * 1000 ? 15 * 1000 : 60 * 1000;
+
+      async function poll() {
+        if (!isMarketOpen(symbol, Date.now())) {
+          setLiveStatus("closed");
+        } else if (!document.hidden) {
+          const current = rawRef.current;
+          const since = current.length
+            ? current[current.length - 1].time
+            : undefined;
+          try {
+            const res = await fetchYahooSPX(span, yInterval, symbol, basis, since);
+            if (cancelled) return;
+            if (res.series.length) {
+              setRawData(function (prev) {
+                return mergeSeries(prev, res.series);
+              });
+            }
+            const lastTime = res.series.length
+              ? res.series[res.series.length - 1].time
+              : since;
+            setLiveStatus(
+              lastTime && Date.now() - lastTime > 2 * step + 60 * 1000
+                ? "delayed"
+                : "live"
+            );
+          } catch {
+            if (cancelled) return;
+            setLiveStatus("delayed");
+          }
+        }
+        if (!cancelled) timer = setTimeout(poll, pollMs);
+      }
+
+      setLiveStatus(isMarketOpen(symbol, Date.now()) ? "live" : "closed");
+      timer = setTimeout(poll, pollMs);
+      return function () {
+        cancelled = true;
+        clearTimeout(timer);
+      };
+    },
+    [live, usingDemo, historical, interval, startTs, endTs, symbol, basis, key]
+  );
+
+  // Filter rawData to the start date and the end date's bar (see endBound).
+  // The fetch already asked for this window; this trims the warm-up margin.
+  const filteredData = useMemo(
+    function () {
+      const upToEnd =
+        endTs === undefined
+          ? rawData
+          : rawData.filter(function (p) {
+              return p.time < endBound(interval, endTs);
+            });
+      if (!upToEnd.length || !startTs) return upToEnd;
+      return upToEnd.filter(function (p) {
+        return p.time >= startTs;
+      });
+    },
+    [rawData, startTs, endTs, interval]
+  );
+
+  const synthOpts = useMemo(
+    function () {
+      return {
+        expenseRatio: expenseRatio / 100,
+        borrowRate: borrowRate / 100,
+        swapSpread: swapSpread / 100,
+        rebalance: rebalance,
+        driftThreshold: driftThreshold / 100,
+        maintenanceMargin: maintenanceMargin / 100,
+      };
+    },
+    [expenseRatio, borrowRate, swapSpread, rebalance, driftThreshold, maintenanceMargin]
+  );
+
+  // Resume from the previous build when only the tail changed (live mode)
+  const synthCache = useRef(null);
   const synth = useMemo(
     function () {
-      return buildSyntheticSeries(filteredData, leverage, baseValue);
+      const prev = synthCache.current;
+      let prefix = null;
+      if (
+        prev &&
+        prev.leverage === leverage &&
+        prev.baseValue === baseValue &&
+        prev.opts === synthOpts
+      ) {
+        prefix = prev.out.slice(0, sharedPrefixLength(prev.input, filteredData));
+      }
+      const out = buildSyntheticSeries(
+        filteredData,
+        leverage,
+        baseValue,
+        synthOpts,
+        prefix
+      );
+      synthCache.current = {
+        input: filteredData,
+        leverage: leverage,
+        baseValue: baseValue,
+        opts: synthOpts,
+        out: out,
+      };
+      return out;
+    },
+    [filteredData, leverage, baseValue, synthOpts]
+  );
+  // first bar that wiped out the position, if any (see buildSyntheticSeries)
+  const liquidation = useMemo(
+    function () {
+      return findLiquidation(synth);
+    },
+    [synth]
+  );
+
+  // Compared product rebased to the matching synthetic's value where the
+  // product's history starts: `actual` is carried onto the underlying's bars
+  // for drawing, `prints` keeps only the product's own bars for the tracking
+  // stats, so a missing print never reads as a flat bar
+  const comparison = useMemo(
+    function () {
+      const target = parseCompare(compare);
+      if (!target || !compareRaw.length) return null;
+      const model =
+        target.leverage === leverage
+          ? synth
+          : buildSyntheticSeries(filteredData, target.leverage, baseValue, synthOpts);
+      const lastTime = compareRaw[compareRaw.length - 1].time;
+      const aligned = alignAsOf(filteredData, compareRaw).filter(function (p) {
+        return p.time <= lastTime;
+      });
+      if (!aligned.length) return null;
+      const start = pointAt(model, aligned[0].time);
+      const actual = rebaseSeries(
+        aligned,
+        start && start.value > 0 ? start.value : baseValue
+      );
+      const k = actual[0].value / aligned[0].value;
+      const first = filteredData[0].time;
+      const last = filteredData[filteredData.length - 1].time;
+      const prints = compareRaw
+        .filter(function (p) {
+          return p.time >= first && p.time <= last;
+        })
+        .map(function (p) {
+          return { time: p.time, value: p.value * k };
+        });
+      return {
+        symbol: target.symbol,
+        leverage: target.leverage,
+        model: model,
+        actual: actual,
+        prints: prints,
+      };
+    },
+    [compare, compareRaw, leverage, synth, filteredData, baseValue, synthOpts]
+  );
+
+  // Primary series first, then the overlays in list order, then the
+  // comparison (its synthetic, unless already drawn, and the product)
+  const seriesList = useMemo(
+    function () {
+      const list = [{ id: preset, data: synth }];
+      overlays.forEach(function (value) {
+        if (value === preset) return;
+        const data =
+          value === SPX_SERIES
+            ? rebaseSeries(filteredData, baseValue)
+            : buildSyntheticSeries(
+                filteredData,
+                parseLeverage(value) || 1,
+                baseValue,
+                synthOpts
+              );
+        list.push({ id: value, data: data });
+      });
+      if (comparison) {
+        const modelId = leverageId(comparison.leverage);
+        const drawn = list.some(function (s) {
+          return s.id === modelId;
+        });
+        if (!drawn) list.push({ id: modelId, data: comparison.model });
+        list.push({ id: COMPARE_PREFIX + comparison.symbol, data: comparison.actual });
+      }
+      return list;
     },
-    [filteredData, leverage, baseValue]
+    [preset, synth, overlays, filteredData, baseValue, synthOpts, comparison]
   );
 
-  const width = 1200;
-  const height = 640;
-  const rightMargin = 90;
+  const width = Math.max(MIN_CHART_WIDTH, boxWidth);
+  const height =
+    chartHeight === "auto"
+      ? clamp(Math.round(width * 0.53), 320, 680)
+      : Number(chartHeight);
+  // narrow screens get a slimmer price axis; badges size to whatever is left
+  const rightMargin = width < 640 ? 72 : 90;
+  const padLeft = 40;
+  // optional drawdown pane stacked under the price chart
+  const DRAWDOWN_PANE_HEIGHT = 190;
+  const svgHeight = height + (showDrawdown ? DRAWDOWN_PANE_HEIGHT : 0);
 
   const color =
     leverage >= 0
@@ -578,6 +1741,20 @@ export default function LiveSP500Canvas() {
       : theme === "dark"
       ? "#f87171"
       : "#ef4444";
+  const upColor = theme === "dark" ? "#22c55e" : "#16a34a";
+  const downColor = theme === "dark" ? "#f87171" : "#ef4444";
+  const spxColor = theme === "dark" ? "#cbd5e1" : "#475569";
+  const seriesColors = useMemo(
+    function () {
+      return seriesList.map(function (s, k) {
+        if (k === 0) return color;
+        if (s.id === SPX_SERIES) return spxColor;
+        if (s.id.indexOf(COMPARE_PREFIX) === 0) return COMPARE_COLOR;
+        return SERIES_PALETTE[(k - 1) % SERIES_PALETTE.length];
+      });
+    },
+    [seriesList, color, spxColor]
+  );
   const bg = theme === "dark" ? "#0f172a" : "#ffffff";
   const fg = theme === "dark" ? "#e2e8f0" : "#0f172a";
 
@@ -592,115 +1769,558 @@ export default function LiveSP500Canvas() {
   );
   const activeDomain = domain || fullDomain;
 
+  // Market events of the enabled categories within the loaded data
+  const allEvents = useMemo(
+    function () {
+      return mergeEvents(CATALOG_EVENTS, importedEvents);
+    },
+    [importedEvents]
+  );
+  const dataEvents = useMemo(
+    function () {
+      return allEvents.filter(function (ev) {
+        return (
+          eventFilter.indexOf(ev.category) !== -1 &&
+          synth.length > 0 &&
+          ev.time >= fullDomain.x0 &&
+          ev.time <= fullDomain.x1
+        );
+      });
+    },
+    [allEvents, eventFilter, fullDomain, synth.length]
+  );
+
+  // Keep the URL in sync with the view. Changes are debounced so one wheel
+  // gesture becomes one history entry; loading a URL or stepping through
+  // history only normalizes it in place.
+  const viewQuery = viewToQuery({
+    preset: preset,
+    symbol: symbol,
+    interval: interval,
+    theme: theme,
+    startISO: startISO,
+    endISO: endISO,
+    baseValue: baseValue,
+    yMode: yMode,
+    basis: basis,
+    chartStyle: chartStyle,
+    chartHeight: chartHeight,
+    showDrawdown: showDrawdown,
+    riskFree: riskFree,
+    expenseRatio: expenseRatio,
+    borrowRate: borrowRate,
+    swapSpread: swapSpread,
+    rebalance: rebalance,
+    driftThreshold: driftThreshold,
+    maintenanceMargin: maintenanceMargin,
+    compare: compare,
+    overlays: overlays,
+    domain: domain,
+  });
+  const replaceUrl = useRef(true);
+  // a user change is waiting for its debounced pushState
+  const pushPending = useRef(false);
+  const fetchParams = useRef(null);
+  useEffect(
+    function () {
+      fetchParams.current = [interval, symbol, basis, startISO, endISO].join("|");
+    },
+    [interval, symbol, basis, startISO, endISO]
+  );
+  useEffect(
+    function () {
+      if (pendingDomain.current) return;
+      if (viewQuery === window.location.search) {
+        replaceUrl.current = false;
+        pushPending.current = false;
+        return;
+      }
+      const url = window.location.pathname + viewQuery + window.location.hash;
+      // app-driven zoom changes replace the entry, unless they land on top of
+      // a user change that still has to be pushed
+      const auto = domain !== undefined && domain === autoDomain.current;
+      if (replaceUrl.current || (auto && !pushPending.current)) {
+        replaceUrl.current = false;
+        window.history.replaceState(null, "", url);
+        return;
+      }
+      pushPending.current = true;
+      const timer = setTimeout(function () {
+        pushPending.current = false;
+        window.history.pushState(null, "", url);
+      }, 400);
+      return function () {
+        clearTimeout(timer);
+      };
+    },
+    [viewQuery, domain]
+  );
+
+  useEffect(function () {
+    function onPopState() {
+      const v = readViewFromUrl(window.location.search);
+      replaceUrl.current = true;
+      const refetch =
+        [v.interval, v.symbol, v.basis, v.startISO, v.endISO].join("|") !==
+        fetchParams.current;
+      // a refetch resets the zoom; re-apply the URL's once data is in
+      if (refetch) pendingDomain.current = v.domain;
+      applyView(refetch ? Object.assign({}, v, { domain: undefined }) : v);
+    }
+    window.addEventListener("popstate", onPopState);
+    return function () {
+      window.removeEventListener("popstate", onPopState);
+    };
+  }, []);
+
+  // When live bars extend the data, a view pinned to the right edge slides
+  // along with it; any other zoom/pan stays where the user left it.
+  const lastExtent = useRef(null);
+  useEffect(
+    function () {
+      const prev = lastExtent.current;
+      lastExtent.current = synth.length ? fullDomain : null;
+      // only an extension of the same data (same first bar) slides the view
+      if (!prev || !synth.length || fullDomain.x0 !== prev.x0) return;
+      const prevX1 = prev.x1;
+      if (fullDomain.x1 <= prevX1) return;
+      setDomain(function (d) {
+        if (!d || d.x1 < prevX1) return d;
+        const span = d.x1 - d.x0;
+        const next = { x0: fullDomain.x1 - span, x1: fullDomain.x1 };
+        autoDomain.current = next;
+        return next;
+      });
+    },
+    [fullDomain, synth.length]
+  );
+
   const chart = useChartPath(
-    synth,
+    seriesList,
     width,
     height,
-    40,
+    padLeft,
     interval,
     activeDomain,
     yMode,
-    rightMargin
+    rightMargin,
+    chartStyle
   );
   const path = chart.path;
+
+  // The price pane's series are painted on a canvas under the SVG, which
+  // keeps axes, labels and the crosshair. Hidden SVG copies of the series
+  // exist only for image export.
+  const canvasRef = useRef(null);
+  useLayoutEffect(
+    function () {
+      if (!canvasRef.current) return;
+      drawChartCanvas(
+        canvasRef.current,
+        chart,
+        width,
+        height,
+        chartStyle,
+        seriesColors,
+        upColor,
+        downColor
+      );
+    },
+    [chart, width, height, chartStyle, seriesColors, upColor, downColor]
+  );
   const xTicks = chart.xTicks;
   const xLabels = chart.xLabels;
   const yTicks = chart.yTicks;
   const xScale = chart.xScale;
   const yScale = chart.yScale;
+  const cross =
+    crossState &&
+    crossState.ts >= activeDomain.x0 &&
+    crossState.ts <= activeDomain.x1
+      ? Object.assign({}, crossState, {
+          x: xScale(crossState.ts),
+          y: yScale(crossState.price),
+        })
+      : null;
   const last = chart.last;
-  const anchor = chart.anchor;
 
-  // extra runtime tests
-  try {
-    console.assert(xTicks.length >= 2, "Expected at least 2 x-ticks");
-    if (synth.length) {
-      console.assert(
-        Math.abs(synth[0].value - baseValue) < 1e-6,
-        "First synthetic should equal baseValue"
-      );
-    }
-  } catch (e) {}
+  // Drawdown pane: primary synthetic vs. the unlevered underlying, sharing
+  // the main chart's x-scale so zoom/pan and the crosshair line up.
+  const drawdown = useMemo(
+    function () {
+      if (!showDrawdown || synth.length < 2) return null;
+      const top = height + 10;
+      const bottom = height + DRAWDOWN_PANE_HEIGHT - 30;
+      const lines = [
+        { id: preset, color: color, dd: buildDrawdown(synth) },
+        { id: SPX_SERIES, color: spxColor, dd: buildDrawdown(filteredData) },
+      ];
+      let minDd = 0;
+      lines.forEach(function (l) {
+        l.dd.points.forEach(function (p) {
+          if (p.time < activeDomain.x0 || p.time > activeDomain.x1) return;
+          if (p.value < minDd) minDd = p.value;
+        });
+      });
+      minDd = Math.min(-1, minDd * 1.1);
+      const ddY = function (v) {
+        return top + (v / minDd) * (bottom - top);
+      };
+      lines.forEach(function (l) {
+        const pts = l.dd.points;
+        const visible = pts.slice(
+          lowerBound(pts, activeDomain.x0),
+          lowerBound(pts, activeDomain.x1 + 1)
+        );
+        let d = "";
+        lttb(visible, Math.round(width * 2)).forEach(function (p) {
+          d += (d ? " L " : "M ") + xScale(p.time) + " " + ddY(p.value);
+        });
+        l.path = d;
+      });
+      return {
+        top: top,
+        bottom: bottom,
+        yScale: ddY,
+        ticks: [0, minDd / 2, minDd].map(function (v) {
+          return { y: ddY(v), label: v.toFixed(1) + "%" };
+        }),
+        lines: lines,
+      };
+    },
+    [
+      showDrawdown,
+      synth,
+      filteredData,
+      preset,
+      color,
+      spxColor,
+      activeDomain.x0,
+      activeDomain.x1,
+      xScale,
+      width,
+      height,
+    ]
+  );
 
-  function onWheel(e) {
-    e.preventDefault();
-    if (!synth.length) return;
+  // Pointer position -> chart x (SVG units) and time. The SVG is drawn at
+  // its measured size, but scale anyway in case CSS stretches it.
+  function pointerX(e) {
     const rect = e.currentTarget.getBoundingClientRect();
-    const px = e.clientX - rect.left;
-    const tAtCursor =
+    return ((e.clientX - rect.left) * width) / Math.max(1, rect.width);
+  }
+
+  function timeAtX(px) {
+    return (
       activeDomain.x0 +
-      ((px - 40) / Math.max(1, width - 40 - rightMargin)) *
-        (activeDomain.x1 - activeDomain.x0);
+      ((px - padLeft) / Math.max(1, width - padLeft - rightMargin)) *
+        (activeDomain.x1 - activeDomain.x0)
+    );
+  }
+
+  // Zooms the visible range around time `t`; direction 1 = out, -1 = in
+  function zoomAround(t, direction) {
     const zoomIntensity = 0.2;
-    const direction = e.deltaY > 0 ? 1 : -1;
     const scale = Math.exp(direction * zoomIntensity);
-    const newX0 = tAtCursor - (tAtCursor - activeDomain.x0) * scale;
-    const newX1 = tAtCursor + (activeDomain.x1 - tAtCursor) * scale;
+    const newX0 = t - (t - activeDomain.x0) * scale;
+    const newX1 = t + (activeDomain.x1 - t) * scale;
     const minSpan = (fullDomain.x1 - fullDomain.x0) / 500;
     const x0 = Math.max(fullDomain.x0, Math.min(newX0, newX1 - minSpan));
     const x1 = Math.min(fullDomain.x1, Math.max(newX1, newX0 + minSpan));
     setDomain({ x0: x0, x1: x1 });
+    return { x0: x0, x1: x1 };
+  }
+
+  // Shifts [x0, x1] by dt, keeping its span and staying inside the data
+  function shiftDomain(x0, x1, dt) {
+    let a = x0 + dt;
+    let b = x1 + dt;
+    if (a < fullDomain.x0) {
+      b += fullDomain.x0 - a;
+      a = fullDomain.x0;
+    }
+    if (b > fullDomain.x1) {
+      a -= b - fullDomain.x1;
+      b = fullDomain.x1;
+    }
+    return { x0: a, x1: b };
+  }
+
+  function onWheel(e) {
+    e.preventDefault();
+    if (!synth.length) return;
+    zoomAround(timeAtX(pointerX(e)), e.deltaY > 0 ? 1 : -1);
+  }
+
+  // Announces the bars visible in `d`; the keyboard crosshair goes quiet
+  // so the live region reads this instead
+  function announceRange(d) {
+    const first = synth[Math.min(synth.length - 1, lowerBound(synth, d.x0))];
+    const last = synth[Math.max(0, lowerBound(synth, d.x1 + 1) - 1)];
+    setAnnouncement(
+      "Showing " + formatDate(first.time) + " to " + formatDate(last.time)
+    );
+    setCross(function (c) {
+      return c && Object.assign({}, c, { fromKeyboard: false });
+    });
+  }
+
+  // Keyboard control: arrows step the crosshair bar by bar, Shift+arrows
+  // pan, +/- zoom, Home/End jump to the first/last bar, Escape clears.
+  function onKeyDown(e) {
+    if (!synth.length) return;
+    const span = activeDomain.x1 - activeDomain.x0;
+    const visibleFirst = Math.min(synth.length - 1, lowerBound(synth, activeDomain.x0));
+    const visibleLast = Math.max(0, lowerBound(synth, activeDomain.x1 + 1) - 1);
+    let target = null;
+
+    if ((e.key === "ArrowLeft" || e.key === "ArrowRight") && e.shiftKey) {
+      const next = shiftDomain(
+        activeDomain.x0,
+        activeDomain.x1,
+        (e.key === "ArrowLeft" ? -0.1 : 0.1) * span
+      );
+      setDomain(next);
+      announceRange(next);
+    } else if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+      const step = e.key === "ArrowLeft" ? -1 : 1;
+      // continue from the crosshair while it is in view
+      target = cross
+        ? clamp(cross.index + step, 0, synth.length - 1)
+        : step < 0
+        ? visibleLast
+        : visibleFirst;
+    } else if (e.key === "Home") {
+      target = 0;
+    } else if (e.key === "End") {
+      target = synth.length - 1;
+    } else if (e.key === "+" || e.key === "=" || e.key === "-" || e.key === "_") {
+      const center = cross
+        ? cross.ts
+        : (activeDomain.x0 + activeDomain.x1) / 2;
+      const next = zoomAround(center, e.key === "-" || e.key === "_" ? 1 : -1);
+      announceRange(next);
+    } else if (e.key === "Escape") {
+      setCross(null);
+      setMeasure(null);
+      setDraft(null);
+      setDrawTool(null);
+    } else {
+      return;
+    }
+    e.preventDefault();
+    if (target === null) return;
+
+    // bring the bar into view, keeping the zoom level
+    const p = synth[target];
+    if (p.time < activeDomain.x0 || p.time > activeDomain.x1) {
+      const dt =
+        p.time < activeDomain.x0
+          ? p.time - activeDomain.x0
+          : p.time - activeDomain.x1;
+      setDomain(shiftDomain(activeDomain.x0, activeDomain.x1, dt));
+    }
+    setCross({ ts: p.time, index: target, price: p.value, fromKeyboard: true });
+  }
+
+  // Index of the synth bar nearest the pointer, preferring visible bars
+  function snapIndexAt(e) {
+    const ts = timeAtX(clamp(pointerX(e), 0, width));
+    const snap = nearestIndex(
+      synth,
+      ts,
+      lowerBound(synth, activeDomain.x0),
+      lowerBound(synth, activeDomain.x1 + 1)
+    );
+    return snap === -1 ? nearestIndex(synth, ts) : snap;
+  }
+
+  // Data coordinates under the pointer for drawings: the nearest bar's time
+  // and the price-pane value at the pointer height
+  function drawPointAt(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const py = ((e.clientY - rect.top) * svgHeight) / Math.max(1, rect.height);
+    return {
+      t: synth[snapIndexAt(e)].time,
+      v: chart.yInvert(clamp(py, 30, height - 30)),
+    };
+  }
+
+  function updateAnnotations(update) {
+    setAnnotationStore(function (s) {
+      return { key: s.key, items: update(s.items) };
+    });
+  }
+
+  function addAnnotation(a) {
+    updateAnnotations(function (items) {
+      return items.concat(Object.assign({ id: newAnnotationId(), text: "" }, a));
+    });
+    setDraft(null);
+    setDrawTool(null);
+  }
+
+  function editAnnotation(id, changes) {
+    updateAnnotations(function (items) {
+      return items.map(function (a) {
+        return a.id === id ? Object.assign({}, a, changes) : a;
+      });
+    });
+  }
+
+  function deleteAnnotation(id) {
+    updateAnnotations(function (items) {
+      return items.filter(function (a) {
+        return a.id !== id;
+      });
+    });
+  }
+
+  // Zooms to a window of bars around a market event
+  function zoomToEvent(ev) {
+    if (!synth.length) return;
+    const next = eventWindow(ev.time, intervalToStepMs(interval), fullDomain);
+    setDomain(next);
+    announceRange(next);
+  }
+
+  // Simulates future underlying paths from the loaded bars (see simulatePaths)
+  function runSimulation() {
+    try {
+      const sim = simulatePaths(filteredData, {
+        method: mcMethod,
+        paths: mcPaths,
+        horizon: mcHorizon,
+        interval: interval,
+        seed: mcSeed,
+        drift: mcDrift / 100,
+        volatility: mcVolatility / 100,
+      });
+      setFanState(buildFanState(sim, leverage, baseValue, synthOpts, mcDrawdown));
+      setSimulation({
+        sim: sim,
+        method: mcMethod,
+        seed: mcSeed,
+        drift: mcDrift,
+        volatility: mcVolatility,
+        interval: interval,
+        historyBars: filteredData.length,
+      });
+      setSimulationError("");
+    } catch (err) {
+      setSimulation(null);
+      setFanState(null);
+      setSimulationError((err && err.message) || "Simulation failed");
+    }
+  }
+
+  async function importEventFile(file) {
+    setEventError("");
+    try {
+      const events = parseEventFile(await file.text(), file.name);
+      setImportedEvents(function (list) {
+        return mergeEvents(list, events);
+      });
+    } catch (err) {
+      setEventError((err && err.message) || "Could not read " + file.name);
+    }
+  }
+
+  // Places the current drawing tool's shape; trend lines take two points
+  // (drag, or two clicks)
+  function placeDrawing(e) {
+    const p = drawPointAt(e);
+    if (drawTool === "trend") {
+      if (draft) {
+        addAnnotation(Object.assign({}, draft, { t1: p.t, v1: p.v }));
+      } else {
+        draftDrag.current = true;
+        setDraft({ type: "trend", t0: p.t, v0: p.v, t1: p.t, v1: p.v });
+      }
+    } else if (drawTool === "hline") {
+      addAnnotation({ type: "hline", v0: p.v });
+    } else if (drawTool === "vline") {
+      addAnnotation({ type: "vline", t0: p.t });
+    } else {
+      addAnnotation({ type: "note", t0: p.t, v0: p.v, text: "Note" });
+    }
   }
 
   function onPointerDown(e) {
+    // a click on an event marker zooms to it instead of starting a pan
+    const marker = !drawTool && e.target.closest && e.target.closest("[data-event-id]");
+    if (marker) {
+      const ev = allEvents.find(function (x) {
+        return x.id === marker.getAttribute("data-event-id");
+      });
+      if (ev) zoomToEvent(ev);
+      return;
+    }
     e.currentTarget.setPointerCapture(e.pointerId);
+    if (drawTool && synth.length) {
+      placeDrawing(e);
+      return;
+    }
+    const placing = measure && !measure.fixed;
+    if (synth.length && (e.shiftKey || measureMode || placing)) {
+      const snap = snapIndexAt(e);
+      if (placing) {
+        setMeasure({ a: measure.a, b: snap, fixed: true });
+      } else {
+        measureDrag.current = e.shiftKey;
+        setMeasure({ a: snap, b: snap, fixed: false });
+      }
+      return;
+    }
     setIsPanning(true);
     panStart.current = {
-      x: e.clientX,
+      x: pointerX(e),
       x0: activeDomain.x0,
       x1: activeDomain.x1,
     };
   }
 
   function onPointerMove(e) {
-    const rect = e.currentTarget.getBoundingClientRect();
-    const px = clamp(e.clientX - rect.left, 0, width);
-    const ts =
-      activeDomain.x0 +
-      ((px - 40) / Math.max(1, width - 40 - rightMargin)) *
-        (activeDomain.x1 - activeDomain.x0);
+    // an unfinished trend line follows the pointer
+    if (draft && synth.length) {
+      const p = drawPointAt(e);
+      if (p.t !== draft.t1 || p.v !== draft.v1) {
+        setDraft(Object.assign({}, draft, { t1: p.t, v1: p.v }));
+      }
+    }
 
-    // crosshair snap to nearest point
+    // crosshair snap to the nearest visible point (binary search)
     if (synth.length) {
-      var nearest = synth[0];
-      var best = Infinity;
-      for (var i = 0; i < synth.length; i++) {
-        var p = synth[i];
-        if (p.time < activeDomain.x0 || p.time > activeDomain.x1) continue;
-        var d = Math.abs(p.time - ts);
-        if (d < best) {
-          best = d;
-          nearest = p;
-        }
-      }
-      if (nearest) {
+      var snap = snapIndexAt(e);
+      var nearest = synth[snap];
+      // skip re-rendering while the pointer stays on the same bar
+      if (nearest && (!crossState || crossState.index !== snap)) {
         setCross({
-          x: xScale(nearest.time),
-          y: yScale(nearest.value),
           ts: nearest.time,
+          index: snap,
           price: nearest.value,
+          fromKeyboard: false,
         });
+        // an unfinished measurement follows the pointer
+        if (measure && !measure.fixed && measure.b !== snap) {
+          setMeasure({ a: measure.a, b: snap, fixed: false });
+        }
       }
     }
 
     if (isPanning && panStart.current) {
-      const dxPx = e.clientX - panStart.current.x;
+      const dxPx = pointerX(e) - panStart.current.x;
       const span = panStart.current.x1 - panStart.current.x0;
       const dt =
-        (-dxPx / Math.max(1, width - 40 - rightMargin)) * span;
-      let x0 = panStart.current.x0 + dt;
-      let x1 = panStart.current.x1 + dt;
+        (-dxPx / Math.max(1, width - padLeft - rightMargin)) * span;
       const spanMin = (fullDomain.x1 - fullDomain.x0) / 1000;
-      if (x1 - x0 < spanMin) x1 = x0 + spanMin;
-      if (x0 < fullDomain.x0) {
-        x1 += fullDomain.x0 - x0;
-        x0 = fullDomain.x0;
-      }
-      if (x1 > fullDomain.x1) {
-        x0 -= x1 - fullDomain.x1;
-        x1 = fullDomain.x1;
-      }
-      setDomain({ x0: x0, x1: x1 });
+      setDomain(
+        shiftDomain(
+          panStart.current.x0,
+          Math.max(panStart.current.x1, panStart.current.x0 + spanMin),
+          dt
+        )
+      );
     }
   }
 
@@ -708,6 +2328,23 @@ export default function LiveSP500Canvas() {
     e.currentTarget.releasePointerCapture(e.pointerId);
     setIsPanning(false);
     panStart.current = null;
+    if (measureDrag.current) {
+      measureDrag.current = false;
+      // a shift-click without dragging leaves the second point to a click
+      setMeasure(function (m) {
+        return m && m.a !== m.b ? Object.assign({}, m, { fixed: true }) : m;
+      });
+    }
+    if (draftDrag.current) {
+      draftDrag.current = false;
+      // a click without dragging leaves the second point to a click
+      if (
+        draft &&
+        (draft.t1 !== draft.t0 || Math.abs(yScale(draft.v1) - yScale(draft.v0)) > 4)
+      ) {
+        addAnnotation(draft);
+      }
+    }
   }
 
   function onLeave() {
@@ -718,30 +2355,206 @@ export default function LiveSP500Canvas() {
     setDomain(undefined);
   }
 
-  function resetAll() {
-    setPreset("SYNTHETIC:+1");
-    setInterval("60");
-    setTheme("light");
-    setDomain(undefined);
-    setStartISO("");
-    setBaseValue(100);
-    setYMode("linear");
-    setKey(function (k) {
-      return k + 1;
+  function applyView(v) {
+    setPreset(v.preset);
+    setCustomLeverage(customLeverageText(v.preset));
+    setSymbol(v.symbol);
+    setBasis(v.basis);
+    setInterval(v.interval);
+    setTheme(v.theme);
+    setDomain(v.domain);
+    setStartISO(v.startISO);
+    setEndISO(v.endISO);
+    setBaseValue(v.baseValue);
+    setBaseInput(String(v.baseValue));
+    setYMode(v.yMode);
+    setChartStyle(v.chartStyle);
+    setChartHeight(v.chartHeight);
+    setShowDrawdown(v.showDrawdown);
+    setRiskFree(v.riskFree);
+    setExpenseRatio(v.expenseRatio);
+    setBorrowRate(v.borrowRate);
+    setSwapSpread(v.swapSpread);
+    setRebalance(v.rebalance);
+    setDriftThreshold(v.driftThreshold);
+    setMaintenanceMargin(v.maintenanceMargin);
+    setCompare(v.compare);
+    setOverlays(v.overlays);
+  }
+
+  function resetAll() {
+    applyView(DEFAULT_VIEW);
+    setLive(true);
+    setKey(function (k) {
+      return k + 1;
+    });
+  }
+
+  function exportData(format) {
+    const visible = exportRange === "visible";
+    const rows = visible
+      ? buildExportRows(synth, filteredData, activeDomain.x0, activeDomain.x1)
+      : buildExportRows(synth, filteredData);
+    const meta = {
+      leverage: leverage,
+      base_value: baseValue,
+      interval: interval,
+      symbol: symbol,
+      return_basis: dataBasis,
+      underlying_source: dataSource.source || symbol,
+      dividend_source: dataSource.dividendSource || "",
+      data_source: usingDemo
+        ? "DEMO: random walk from buildDemoSPX (backend unavailable)"
+        : "Yahoo Finance via /api/spx",
+      range: visible ? "visible" : "full",
+      expense_ratio_pct: expenseRatio,
+      financing_rate_pct: borrowRate,
+      swap_spread_pct: swapSpread,
+      rebalance: rebalance,
+      maintenance_margin_pct: maintenanceMargin,
+      liquidated_at: liquidation ? new Date(liquidation.time).toISOString() : "",
+      exported_at: new Date().toISOString(),
+    };
+    if (usingDemo) {
+      meta.note = "Demo fallback data, not market prices";
+    }
+    const name =
+      "synthetic_" +
+      underlyingShort(symbol) +
+      "_" +
+      (leverage >= 0 ? "+" : "") +
+      leverage +
+      "x_" +
+      interval +
+      "_" +
+      (visible ? "visible" : "full");
+    if (format === "csv") {
+      downloadBlob(name + ".csv", "text/csv;charset=utf-8", toCsv(meta, rows));
+    } else if (format === "json") {
+      downloadBlob(name + ".json", "application/json", toJson(meta, rows));
+    } else {
+      downloadBlob(
+        name + ".xml",
+        "application/vnd.ms-excel",
+        toSpreadsheetXml(meta, rows)
+      );
+    }
+  }
+
+  function exportImage(format, scale) {
+    if (!svgRef.current) return;
+    const footer =
+      (usingDemo
+        ? "Source: DEMO data (backend unavailable)"
+        : "Source: Yahoo Finance via /api/spx, " +
+          (dataBasis === "total" ? "total return" : "price return") +
+          (basisNote ? " (" + basisNote + ")" : "")) +
+      " · " +
+      symbol +
+      " · generated " +
+      new Date().toLocaleString();
+    const svg = serializeChartSvg(svgRef.current, footer, {
+      includeCrosshair: exportCrosshair,
+      background: bg,
+      foreground: fg,
     });
+    const name =
+      "chart_" +
+      underlyingShort(symbol) +
+      "_" +
+      (leverage >= 0 ? "+" : "") +
+      leverage +
+      "x_" +
+      interval;
+    if (format === "svg") {
+      downloadBlob(name + ".svg", "image/svg+xml;charset=utf-8", svg.markup);
+      return;
+    }
+    svgToPngBlob(svg, scale).then(
+      function (blob) {
+        downloadBlob(name + "@" + scale + "x.png", "image/png", blob);
+      },
+      function (e) {
+        setError((e && e.message) || "PNG export failed");
+      }
+    );
+  }
+
+  function copyLink() {
+    const url = window.location.origin + window.location.pathname + viewQuery;
+    const done = function () {
+      setCopied(true);
+      setTimeout(function () {
+        setCopied(false);
+      }, 1500);
+    };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(done, function () {
+        window.prompt("Copy this link:", url);
+      });
+    } else {
+      window.prompt("Copy this link:", url);
+    }
   }
 
   function toPercent(v, ref) {
     return (v / Math.max(1e-9, ref) - 1) * 100;
   }
 
+  // Custom leverage input: same syntax as a leverage id ("1.5", "-0.5")
+  const customId =
+    customLeverage.trim() === ""
+      ? null
+      : leverageId(parseLeverage("SYNTHETIC:" + customLeverage));
+  const customLeverageError =
+    customLeverage.trim() !== "" && !customId
+      ? "Enter a non-zero multiple between -" +
+        MAX_LEVERAGE +
+        " and " +
+        MAX_LEVERAGE
+      : "";
+  // overlay list: custom overlays first, then the presets
+  const overlayChoices = overlays
+    .filter(function (v) {
+      return v !== SPX_SERIES && !isPreset(v);
+    })
+    .concat(SYNTHETIC_PRESETS);
+
   // Precomputed labels to keep JSX simple
   const signStr = leverage >= 0 ? "+" : "";
-  const titleLabel =
-    "Synthetic " + signStr + String(leverage) + "x SPX (base=" + String(baseValue) + ")";
-  const startLabel = startTs
-    ? "Start: " + new Date(startTs).toLocaleString()
+  const hasCosts = expenseRatio !== 0 || borrowRate !== 0 || swapSpread !== 0;
+  const costsLabel = hasCosts
+    ? ", ER " +
+      expenseRatio.toFixed(2) +
+      "% · fin " +
+      borrowRate.toFixed(2) +
+      "% · swap " +
+      swapSpread.toFixed(2) +
+      "%"
     : "";
+  const rebalanceLabel =
+    rebalance === "bar"
+      ? ""
+      : rebalance === "drift"
+      ? ", rebal ±" + String(driftThreshold) + "% drift"
+      : ", rebal " + rebalance;
+  const titleLabel =
+    "Synthetic " +
+    signStr +
+    String(leverage) +
+    "x " +
+    underlyingShort(symbol) +
+    (dataBasis === "total" ? " TR" : "") +
+    " (base=" +
+    String(baseValue) +
+    costsLabel +
+    rebalanceLabel +
+    (maintenanceMargin > 0 ? ", MM " + String(maintenanceMargin) + "%" : "") +
+    ")";
+  const startLabel =
+    (startTs ? "Start: " + new Date(startTs).toLocaleString() : "") +
+    (startTs && endTs ? " · " : "") +
+    (endTs ? "End: " + new Date(endTs).toLocaleString() : "");
   const effectiveStartLabel =
     filteredData && filteredData.length
       ? "Effective start: " +
@@ -755,34 +2568,572 @@ export default function LiveSP500Canvas() {
       formatDate(synth[synth.length - 1].time)
     : "";
 
-  const lastBadgeText = last
-    ? last.value.toFixed(2) +
-      (yMode === "percent"
-        ? " (" + toPercent(last.value, anchor).toFixed(1) + "%)"
-        : "")
-    : "";
+  // One last-value badge per series, nudged apart so they never overlap
+  const BADGE_GAP = 30;
+  const badges = chart.series
+    .map(function (s, k) {
+      if (!s.last) return null;
+      return {
+        id: s.id,
+        color: seriesColors[k],
+        y: s.yScale(s.last.value),
+        text:
+          s.last.value.toFixed(2) +
+          (yMode === "percent"
+            ? " (" + toPercent(s.last.value, s.anchor).toFixed(1) + "%)"
+            : ""),
+      };
+    })
+    .filter(Boolean)
+    .sort(function (a, b) {
+      return a.y - b.y;
+    });
+  for (let b = 0; b < badges.length; b++) {
+    // fill the price axis; longer labels grow leftwards over the plot edge
+    badges[b].w = Math.max(rightMargin - 14, badges[b].text.length * 7 + 12);
+    badges[b].labelY =
+      b === 0
+        ? badges[b].y
+        : Math.max(badges[b].y, badges[b - 1].labelY + BADGE_GAP);
+  }
+
+  // Dividend ex-dates inside the visible range (total-return basis only)
+  const dividendMarks =
+    synth.length > 1
+      ? dividends
+          .filter(function (d) {
+            return (
+              d.time >= Math.max(activeDomain.x0, synth[0].time) &&
+              d.time <= Math.min(activeDomain.x1, synth[synth.length - 1].time)
+            );
+          })
+          .map(function (d) {
+            return { x: xScale(d.time), time: d.time, amount: d.amount };
+          })
+      : [];
+
+  const crossBar = cross ? pointAt(synth, cross.ts, cross.index) : null;
+
+  const stats = useMemo(
+    function () {
+      return computeStats(
+        synth,
+        filteredData,
+        leverage,
+        interval,
+        riskFree / 100,
+        activeDomain.x0,
+        activeDomain.x1
+      );
+    },
+    [synth, filteredData, leverage, interval, riskFree, activeDomain.x0, activeDomain.x1]
+  );
+  // Compared product vs its synthetic over the visible range
+  const tracking = useMemo(
+    function () {
+      if (!comparison) return null;
+      return trackingStats(
+        comparison.model,
+        comparison.prints,
+        interval,
+        activeDomain.x0,
+        activeDomain.x1
+      );
+    },
+    [comparison, interval, activeDomain.x0, activeDomain.x1]
+  );
+  // Monte Carlo fan for the chosen leverage. Run builds it; after that the
+  // simulated underlying paths stay fixed and only the engine pass is redone,
+  // once leverage, costs or the drawdown limit have stopped changing.
+  const fanStale =
+    !!simulation &&
+    !!fanState &&
+    (fanState.sim !== simulation.sim ||
+      fanState.leverage !== leverage ||
+      fanState.baseValue !== baseValue ||
+      fanState.synthOpts !== synthOpts ||
+      fanState.drawdown !== mcDrawdown);
+  useEffect(
+    function () {
+      if (!fanStale) return;
+      const timer = setTimeout(function () {
+        setFanState(
+          buildFanState(simulation.sim, leverage, baseValue, synthOpts, mcDrawdown)
+        );
+      }, 400);
+      return function () {
+        clearTimeout(timer);
+      };
+    },
+    [fanStale, simulation, leverage, baseValue, synthOpts, mcDrawdown]
+  );
+  const fan = simulation && fanState ? fanState.result : null;
+  const FAN_HEIGHT = 320;
+  const fanChartView = useMemo(
+    function () {
+      if (!fan) return null;
+      const bands = fan.bands;
+      const scales = buildChartScales(
+        FAN_PERCENTILES.map(function (p) {
+          return {
+            id: "p" + p,
+            data: bands.map(function (b) {
+              return { time: b.time, value: b["p" + p] };
+            }),
+          };
+        }),
+        {
+          width: width,
+          height: FAN_HEIGHT,
+          padLeft: padLeft,
+          rightMargin: rightMargin,
+          interval: simulation.interval,
+          domain: { x0: bands[0].time, x1: bands[bands.length - 1].time },
+          yMode: yMode === "log" ? "log" : "linear",
+          chartStyle: "line",
+        }
+      );
+      // filled band between two percentiles: upper edge forward, lower back
+      const area = function (lo, hi) {
+        const y = scales.series[0].yScale;
+        let d = "";
+        for (let i = 0; i < bands.length; i++) {
+          d += (i ? " L " : "M ") + scales.xScale(bands[i].time) + " " + y(bands[i][hi]);
+        }
+        for (let i = bands.length - 1; i >= 0; i--) {
+          d += " L " + scales.xScale(bands[i].time) + " " + y(bands[i][lo]);
+        }
+        return d + " Z";
+      };
+      return {
+        scales: scales,
+        outer: area("p5", "p95"),
+        inner: area("p25", "p75"),
+        median: scales.series[2].path,
+        startY: scales.series[0].yScale(bands[0].p50),
+      };
+    },
+    [fan, simulation, width, padLeft, rightMargin, yMode]
+  );
+
+  const fmtPct = function (v) {
+    return v === null || !isFinite(v) ? "–" : (v * 100).toFixed(2) + "%";
+  };
+  const fmtRatio = function (v) {
+    return v === null || !isFinite(v) ? "–" : v.toFixed(2);
+  };
+  const statRows = stats
+    ? [
+        { label: "Total return", value: fmtPct(stats.totalReturn) },
+        { label: "CAGR", value: fmtPct(stats.cagr) },
+        { label: "Volatility (ann.)", value: fmtPct(stats.volatility) },
+        { label: "Sharpe", value: fmtRatio(stats.sharpe) },
+        { label: "Sortino", value: fmtRatio(stats.sortino) },
+        {
+          label: "Max drawdown",
+          value: stats.maxDrawdown
+            ? stats.maxDrawdown.value.toFixed(2) +
+              "% (" +
+              formatDuration(stats.maxDrawdown.time - stats.maxDrawdown.peakTime) +
+              " to trough, " +
+              (stats.recoveryTime !== null
+                ? formatDuration(stats.recoveryTime - stats.maxDrawdown.peakTime) +
+                  " to recover)"
+                : "not recovered)")
+            : "0.00%",
+        },
+        {
+          label: "Best bar",
+          value: fmtPct(stats.best.value) + " · " + formatDate(stats.best.time),
+        },
+        {
+          label: "Worst bar",
+          value: fmtPct(stats.worst.value) + " · " + formatDate(stats.worst.time),
+        },
+        {
+          label: seriesLabel(SPX_SERIES, symbol) + " return",
+          value: fmtPct(stats.spxReturn),
+        },
+        {
+          label: "Decay vs " + String(leverage) + "× " + underlyingShort(symbol),
+          value: fmtPct(stats.decayGap),
+        },
+      ]
+    : [];
+  const trackingRows = tracking
+    ? [
+        { label: "Tracking error (ann.)", value: fmtPct(tracking.trackingError) },
+        {
+          label: "Tracking difference (cumulative)",
+          value: fmtPct(tracking.trackingDifference),
+        },
+        { label: "Correlation of returns", value: fmtRatio(tracking.correlation) },
+        {
+          label: comparison.symbol + " return",
+          value: fmtPct(tracking.actualReturn),
+        },
+        {
+          label: seriesLabel(leverageId(comparison.leverage), symbol) + " return",
+          value: fmtPct(tracking.modelReturn),
+        },
+        { label: "Bars compared", value: String(tracking.bars) },
+      ]
+    : [];
+
+  const fanEnd = fan ? fan.bands[fan.bands.length - 1] : null;
+  const fanRows = fan
+    ? [
+        { label: "P(end below start)", value: fmtPct(fan.probBelowStart) },
+        {
+          label: "P(drawdown > " + String(fanState.drawdown) + "%)",
+          value: fmtPct(fan.probDrawdown),
+        },
+        { label: "P(liquidated)", value: fmtPct(fan.probLiquidated) },
+        { label: "Median end value", value: fanEnd.p50.toFixed(2) },
+        {
+          label: "End value, 5th–95th pct.",
+          value: fanEnd.p5.toFixed(2) + " – " + fanEnd.p95.toFixed(2),
+        },
+        {
+          label: "Paths × bars",
+          value:
+            String(simulation.sim.paths) +
+            " × " +
+            String(simulation.sim.horizon) +
+            " (" +
+            formatDuration(simulation.sim.horizon * simulation.sim.stepMs) +
+            ")",
+        },
+      ]
+    : [];
 
-  const crossLabel = cross
-    ? formatDate(cross.ts) +
+  // Drawdown pane labels (max DD / recovery only when inside the view)
+  const primaryDd = drawdown ? drawdown.lines[0].dd : null;
+  const inView = function (t) {
+    return t !== null && t >= activeDomain.x0 && t <= activeDomain.x1;
+  };
+  const drawdownMax =
+    primaryDd && primaryDd.max && inView(primaryDd.max.time)
+      ? primaryDd.max
+      : null;
+  const drawdownRecovery =
+    primaryDd && inView(primaryDd.recoveryTime) ? primaryDd.recoveryTime : null;
+  const drawdownLabel = primaryDd
+    ? "Drawdown · max " +
+      (primaryDd.max ? primaryDd.max.value.toFixed(1) + "%" : "0.0%") +
+      (primaryDd.max
+        ? primaryDd.recoveryTime !== null
+          ? " · recovered " + formatDate(primaryDd.recoveryTime)
+          : " · not yet recovered"
+        : "") +
       " · " +
-      cross.price.toFixed(2) +
-      (yMode === "percent"
-        ? " (" + toPercent(cross.price, anchor).toFixed(1) + "%)"
-        : "")
+      seriesLabel(SPX_SERIES, symbol) +
+      " max " +
+      (drawdown.lines[1].dd.max
+        ? drawdown.lines[1].dd.max.value.toFixed(1) + "%"
+        : "0.0%")
+    : "";
+  const crossDdPoint =
+    primaryDd && cross ? pointAt(primaryDd.points, cross.ts, cross.index) : null;
+  const crossDrawdown = crossDdPoint ? crossDdPoint.value : null;
+  const crossLabel = cross ? formatDate(cross.ts) : "";
+  const crossOhlcLabel =
+    crossBar && chartStyle !== "line"
+      ? "O " +
+        crossBar.open.toFixed(2) +
+        "  H " +
+        crossBar.high.toFixed(2) +
+        "  L " +
+        crossBar.low.toFixed(2) +
+        "  C " +
+        crossBar.close.toFixed(2)
+      : "";
+  const crossRows = cross
+    ? chart.series
+        .map(function (s, k) {
+          const p = pointAt(seriesList[k].data, cross.ts, cross.index);
+          if (!p) return null;
+          return {
+            id: s.id,
+            color: seriesColors[k],
+            text:
+              seriesLabel(s.id, symbol) +
+              ": " +
+              p.value.toFixed(2) +
+              (yMode === "percent"
+                ? " (" + toPercent(p.value, s.anchor).toFixed(1) + "%)"
+                : ""),
+          };
+        })
+        .filter(Boolean)
+    : [];
+
+  // Spoken for keyboard crosshair moves; pointer moves stay silent
+  const liveMessage =
+    cross && cross.fromKeyboard
+      ? crossLabel +
+        ". " +
+        crossRows
+          .map(function (r) {
+            return r.text;
+          })
+          .join(", ") +
+        (crossOhlcLabel ? ". " + crossOhlcLabel : "")
+      : announcement;
+
+  // Visible-range summary per series for the screen-reader table
+  const summaryRows = seriesList
+    .map(function (s) {
+      const visible = s.data.slice(
+        lowerBound(s.data, activeDomain.x0),
+        lowerBound(s.data, activeDomain.x1 + 1)
+      );
+      if (!visible.length) return null;
+      let lo = visible[0].value;
+      let hi = visible[0].value;
+      visible.forEach(function (p) {
+        if (p.value < lo) lo = p.value;
+        if (p.value > hi) hi = p.value;
+      });
+      const first = visible[0].value;
+      const lastValue = visible[visible.length - 1].value;
+      return {
+        id: s.id,
+        label: seriesLabel(s.id, symbol),
+        firstTime: visible[0].time,
+        lastTime: visible[visible.length - 1].time,
+        first: first,
+        last: lastValue,
+        change: first ? (lastValue / first - 1) * 100 : 0,
+        low: lo,
+        high: hi,
+      };
+    })
+    .filter(Boolean);
+  const compactHeader = width < 760;
+  const legendPerRow = Math.max(1, Math.floor((width - 50 - rightMargin) / 110));
+
+  const crossBoxWidth = crossOhlcLabel ? 280 : 220;
+  const crossRowsTop = crossOhlcLabel ? 38 : 24;
+  const crossBoxHeight = crossRowsTop - 2 + crossRows.length * 14;
+  const crossBoxX = clamp(
+    cross && cross.x + 8 + crossBoxWidth > width - rightMargin
+      ? cross.x - 8 - crossBoxWidth
+      : cross
+      ? cross.x + 8
+      : 0,
+    4,
+    Math.max(4, width - 4 - crossBoxWidth)
+  );
+  const crossBoxY = cross ? Math.max(4, cross.y - 8 - crossBoxHeight) : 0;
+
+  // Measured range between two bars, drawn as a shaded box with a readout
+  const measured =
+    measure && measure.a !== measure.b
+      ? measureRange(synth, filteredData, measure.a, measure.b)
+      : null;
+  const signedPct = function (v) {
+    return v === null ? "–" : (v >= 0 ? "+" : "") + fmtPct(v);
+  };
+  const measureBox = measured
+    ? {
+        x0: clamp(xScale(measured.from.time), padLeft, width - rightMargin),
+        x1: clamp(xScale(measured.to.time), padLeft, width - rightMargin),
+        color: measured.change >= 0 ? upColor : downColor,
+        rows: [
+          formatDuration(measured.elapsedMs) + " · " + measured.bars + " bars",
+          seriesLabel(preset, symbol) +
+            ": " +
+            (measured.change >= 0 ? "+" : "") +
+            measured.change.toFixed(2) +
+            " (" +
+            signedPct(measured.pct) +
+            ")",
+          seriesLabel(SPX_SERIES, symbol) + ": " + signedPct(measured.spxPct),
+          "Annualized: " + signedPct(measured.annualized),
+        ],
+      }
+    : null;
+  const MEASURE_LABEL_WIDTH = 210;
+  const measureLabelX = measureBox
+    ? measureBox.x1 + 6 + MEASURE_LABEL_WIDTH <= width - rightMargin
+      ? measureBox.x1 + 6
+      : Math.max(padLeft, measureBox.x0 - 6 - MEASURE_LABEL_WIDTH)
+    : 0;
+
+  // Liquidation banner and marker (see buildSyntheticSeries)
+  const liquidationLev = liquidation
+    ? (liquidation.leverage >= 0 ? "+" : "") + Number(liquidation.leverage.toFixed(2)) + "x"
     : "";
+  const liquidationText = !liquidation
+    ? ""
+    : "Liquidated on " +
+      formatDate(liquidation.time) +
+      ": " +
+      (liquidation.reason === "total-loss"
+        ? underlyingShort(symbol) +
+          " moved " +
+          signedPct(liquidation.move) +
+          " from the previous close, a total loss at " +
+          liquidationLev +
+          " (1 + leverage × return ≤ 0)."
+        : "after a " +
+          signedPct(liquidation.move) +
+          " move in " +
+          underlyingShort(symbol) +
+          ", equity fell to the " +
+          maintenanceMargin +
+          "% maintenance margin at " +
+          liquidationLev +
+          "." +
+          (Math.abs(leverage) * maintenanceMargin >= 100
+            ? " A " +
+              maintenanceMargin +
+              "% margin allows at most " +
+              Number((100 / maintenanceMargin).toFixed(2)) +
+              "x."
+            : "")) +
+      " The synthetic stays at 0 from then on.";
+  const liquidationX =
+    liquidation &&
+    liquidation.time >= activeDomain.x0 &&
+    liquidation.time <= activeDomain.x1
+      ? xScale(liquidation.time)
+      : null;
+
+  // Event markers in view, plus a hover card for the one under the pointer
+  const eventMarkers = dataEvents
+    .filter(function (ev) {
+      return ev.time >= activeDomain.x0 && ev.time <= activeDomain.x1;
+    })
+    .map(function (ev) {
+      return { ev: ev, x: xScale(ev.time), color: eventCategory(ev.category).color };
+    });
+  const hoveredMarker = eventMarkers.find(function (m) {
+    return m.ev.id === hoverEventId;
+  });
+  const EVENT_CARD_WIDTH = 260;
+  const eventCard = hoveredMarker
+    ? {
+        x: clamp(
+          hoveredMarker.x + 10 + EVENT_CARD_WIDTH > width - rightMargin
+            ? hoveredMarker.x - 10 - EVENT_CARD_WIDTH
+            : hoveredMarker.x + 10,
+          4,
+          Math.max(4, width - 4 - EVENT_CARD_WIDTH)
+        ),
+        color: hoveredMarker.color,
+        title: hoveredMarker.ev.title,
+        meta:
+          formatDate(hoveredMarker.ev.time) +
+          " · " +
+          eventCategory(hoveredMarker.ev.category).label,
+        lines: wrapText(hoveredMarker.ev.description, 42, 4),
+      }
+    : null;
+
+  // Drawings in pixel space for the current scales; an unfinished trend line
+  // is drawn dashed. Shapes that land off the value scale (log mode, <= 0)
+  // are skipped.
+  const annotationShapes = annotations
+    .concat(draft ? [Object.assign({ id: "draft", text: "" }, draft)] : [])
+    .map(function (a) {
+      if (a.type === "hline") {
+        return {
+          id: a.id,
+          type: a.type,
+          y: yScale(a.v0),
+          label: (a.text ? a.text + " · " : "") + a.v0.toFixed(2),
+        };
+      }
+      if (a.type === "vline") {
+        return {
+          id: a.id,
+          type: a.type,
+          x: xScale(a.t0),
+          label: a.text || new Date(a.t0).toLocaleDateString(),
+        };
+      }
+      return {
+        id: a.id,
+        type: a.type,
+        x: xScale(a.t0),
+        y: yScale(a.v0),
+        x1: a.type === "trend" ? xScale(a.t1) : undefined,
+        y1: a.type === "trend" ? yScale(a.v1) : undefined,
+        label: a.text,
+        draft: a.id === "draft",
+      };
+    })
+    .filter(function (s) {
+      return [s.x, s.y, s.x1, s.y1].every(function (v) {
+        return v === undefined || isFinite(v);
+      });
+    });
 
   return (
     <div className="w-full min-h-screen p-4 md:p-6 space-y-4 box-border">
       {/* Title + controls in a centered column */}
       <div className="max-w-6xl mx-auto space-y-4">
         <h1 className="text-2xl font-semibold">
-          Live Synthetic S&P 500 (±1×…±10× SPX)
+          {"Live Synthetic " +
+            underlyingName(symbol) +
+            " (leveraged and inverse " +
+            underlyingShort(symbol) +
+            ")"}
         </h1>
 
         <Card>
           <CardContent className="pt-4">
             <div className="flex flex-wrap gap-4 items-end">
-              {/* Synthetic leverage presets only */}
+              {/* Underlying */}
+              <div className="flex flex-col" style={{ minWidth: 180 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Underlying
+                </label>
+                <select
+                  className="border rounded-xl p-2 w-44"
+                  value={symbol}
+                  onChange={function (e) {
+                    setSymbol(toSymbol(e.target.value));
+                  }}
+                >
+                  {UNDERLYING_OPTIONS.map(function (o) {
+                    return (
+                      <option key={"sym-" + o.value} value={o.value}>
+                        {o.label}
+                      </option>
+                    );
+                  })}
+                </select>
+              </div>
+
+              {/* Return basis */}
+              <div className="flex flex-col" style={{ minWidth: 140 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Return basis
+                </label>
+                <select
+                  className="border rounded-xl p-2 w-36"
+                  value={basis}
+                  onChange={function (e) {
+                    setBasis(toBasis(e.target.value));
+                  }}
+                >
+                  {BASIS_OPTIONS.map(function (o) {
+                    return (
+                      <option key={"basis-" + o.value} value={o.value}>
+                        {o.label}
+                      </option>
+                    );
+                  })}
+                </select>
+                {basisNote && (
+                  <span className="text-xs text-gray-500 mt-1">{basisNote}</span>
+                )}
+              </div>
+
+              {/* Synthetic leverage: presets, or the custom value below */}
               <div className="flex flex-col" style={{ minWidth: 180 }}>
                 <label className="block text-sm text-gray-600 mb-1">
                   Synthetic Leverage
@@ -792,16 +3143,22 @@ export default function LiveSP500Canvas() {
                   value={preset}
                   onChange={function (e) {
                     setPreset(e.target.value);
+                    setCustomLeverage(customLeverageText(e.target.value));
                     setKey(function (k) {
                       return k + 1;
                     });
                   }}
                 >
-                  <optgroup label="Synthetic Leverage (±1x to ±10x)">
-                    {SYNTHETIC_PRESETS.map(function (opt) {
+                  {!isPreset(preset) && (
+                    <optgroup label="Custom">
+                      <option value={preset}>{seriesLabel(preset, symbol)}</option>
+                    </optgroup>
+                  )}
+                  <optgroup label="Presets (±1x to ±10x)">
+                    {SYNTHETIC_PRESETS.map(function (value) {
                       return (
-                        <option key={"preset-" + opt.value} value={opt.value}>
-                          {opt.label}
+                        <option key={"preset-" + value} value={value}>
+                          {seriesLabel(value, symbol)}
                         </option>
                       );
                     })}
@@ -809,6 +3166,180 @@ export default function LiveSP500Canvas() {
                 </select>
               </div>
 
+              {/* Custom leverage: any non-zero multiple up to ±MAX_LEVERAGE */}
+              <form
+                className="flex flex-col"
+                style={{ minWidth: 220 }}
+                onSubmit={function (e) {
+                  e.preventDefault();
+                  if (!customId) return;
+                  setPreset(customId);
+                  setKey(function (k) {
+                    return k + 1;
+                  });
+                }}
+              >
+                <label className="block text-sm text-gray-600 mb-1">
+                  Custom leverage (×)
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    aria-label="Custom leverage"
+                    aria-invalid={customLeverageError ? true : undefined}
+                    placeholder="e.g. 1.5 or -0.5"
+                    className="border rounded-xl p-2 w-24"
+                    value={customLeverage}
+                    onChange={function (e) {
+                      setCustomLeverage(e.target.value);
+                    }}
+                  />
+                  <Button
+                    type="submit"
+                    variant="secondary"
+                    disabled={!customId || customId === preset}
+                  >
+                    Use
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="secondary"
+                    disabled={!customId || customId === preset}
+                    onClick={function () {
+                      setOverlays(function (list) {
+                        return list.indexOf(customId) === -1
+                          ? list.concat(customId)
+                          : list;
+                      });
+                    }}
+                  >
+                    Overlay
+                  </Button>
+                </div>
+                {customLeverageError && (
+                  <span className="text-xs text-red-600 mt-1" role="alert">
+                    {customLeverageError}
+                  </span>
+                )}
+              </form>
+
+              {/* Compare to a real product */}
+              <form
+                className="flex flex-col"
+                onSubmit={function (e) {
+                  e.preventDefault();
+                  if (compareOtherValue) setCompare(compareOtherValue);
+                }}
+              >
+                <label className="block text-sm text-gray-600 mb-1">
+                  Compare to
+                </label>
+                <select
+                  className="border rounded-xl p-2"
+                  value={compareChoice}
+                  onChange={function (e) {
+                    const v = e.target.value;
+                    setCompareOther(v === "other");
+                    if (v !== "other") setCompare(v);
+                  }}
+                >
+                  <option value="">None</option>
+                  {compareEtfs.map(function (etf) {
+                    return (
+                      <option
+                        key={"cmp-" + etf.symbol}
+                        value={etf.symbol + "|" + etf.leverage}
+                      >
+                        {etf.symbol +
+                          " (" +
+                          (etf.leverage > 0 ? "+" : "") +
+                          etf.leverage +
+                          "x)"}
+                      </option>
+                    );
+                  })}
+                  <option value="other">Other symbol…</option>
+                </select>
+                {compareChoice === "other" && (
+                  <div className="flex gap-2 mt-2">
+                    <input
+                      type="text"
+                      aria-label="Compare symbol"
+                      placeholder="Ticker"
+                      title="Any US-listed ticker (1-5 letters), e.g. SOXL"
+                      className="border rounded-xl p-2 w-24"
+                      value={compareText.symbol}
+                      onChange={function (e) {
+                        const v = e.target.value;
+                        setCompareText(function (t) {
+                          return { symbol: v, leverage: t.leverage };
+                        });
+                      }}
+                    />
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      aria-label="Compare leverage"
+                      className="border rounded-xl p-2 w-16"
+                      value={compareText.leverage}
+                      onChange={function (e) {
+                        const v = e.target.value;
+                        setCompareText(function (t) {
+                          return { symbol: t.symbol, leverage: v };
+                        });
+                      }}
+                    />
+                    <Button
+                      type="submit"
+                      variant="secondary"
+                      disabled={!compareOtherValue || compareOtherValue === compare}
+                    >
+                      Compare
+                    </Button>
+                  </div>
+                )}
+                {compareError && (
+                  <span className="text-xs text-red-600 mt-1" role="alert">
+                    {compareError}
+                  </span>
+                )}
+              </form>
+
+              {/* Overlay series (multi-select) */}
+              <div className="flex flex-col" style={{ minWidth: 180 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Overlay series
+                </label>
+                <select
+                  multiple
+                  size={4}
+                  className="border rounded-xl p-2 w-40"
+                  value={overlays}
+                  onChange={function (e) {
+                    const picked = [];
+                    for (let i = 0; i < e.target.options.length; i++) {
+                      const opt = e.target.options[i];
+                      if (opt.selected) picked.push(opt.value);
+                    }
+                    setOverlays(picked);
+                  }}
+                >
+                  <option value={SPX_SERIES}>{symbol + " (unlevered)"}</option>
+                  {overlayChoices.map(function (value) {
+                    return (
+                      <option
+                        key={"overlay-" + value}
+                        value={value}
+                        disabled={value === preset}
+                      >
+                        {seriesLabel(value, symbol)}
+                      </option>
+                    );
+                  })}
+                </select>
+              </div>
+
               {/* Interval */}
               <div className="flex flex-col" style={{ minWidth: 120 }}>
                 <label className="block text-sm text-gray-600 mb-1">
@@ -863,20 +3394,210 @@ export default function LiveSP500Canvas() {
                 />
               </div>
 
+              {/* End date/time (empty = up to now, with live updates) */}
+              <div className="flex flex-col" style={{ minWidth: 230 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  End (datetime-local)
+                </label>
+                <input
+                  type="datetime-local"
+                  className="border rounded-xl p-2 w-56"
+                  value={endISO}
+                  min={startISO || undefined}
+                  onChange={function (e) {
+                    setEndISO(e.target.value);
+                  }}
+                />
+              </div>
+
               {/* Base value */}
               <div className="flex flex-col" style={{ minWidth: 150 }}>
                 <label className="block text-sm text-gray-600 mb-1">
                   Base (starting value)
                 </label>
                 <input
-                  type="number"
-                  className="border rounded-xl p-2 w-32"
-                  value={baseValue}
-                  step={1}
-                  min={0}
+                  type="number"
+                  className="border rounded-xl p-2 w-32"
+                  value={baseInput}
+                  step="any"
+                  min={0.01}
+                  aria-invalid={Number(baseInput) > 0 ? undefined : true}
+                  onChange={function (e) {
+                    // keep the last valid base; 0 or less breaks log scale
+                    var n = Number(e.target.value);
+                    setBaseInput(e.target.value);
+                    if (e.target.value !== "" && n > 0) setBaseValue(n);
+                  }}
+                  onBlur={function () {
+                    setBaseInput(String(baseValue));
+                  }}
+                />
+              </div>
+
+              {/* Fund costs (annual, prorated per bar) */}
+              <div className="flex flex-col" style={{ minWidth: 130 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Expense ratio (%/yr)
+                </label>
+                <input
+                  type="number"
+                  className="border rounded-xl p-2 w-28"
+                  value={expenseRatio}
+                  step={0.01}
+                  min={0}
+                  onChange={function (e) {
+                    var n = Number(e.target.value);
+                    setExpenseRatio(isNaN(n) ? 0 : n);
+                  }}
+                />
+              </div>
+              <div className="flex flex-col" style={{ minWidth: 130 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Financing rate (%/yr)
+                </label>
+                <input
+                  type="number"
+                  className="border rounded-xl p-2 w-28"
+                  value={borrowRate}
+                  step={0.05}
+                  onChange={function (e) {
+                    var n = Number(e.target.value);
+                    setBorrowRate(isNaN(n) ? 0 : n);
+                  }}
+                />
+              </div>
+              <div className="flex flex-col" style={{ minWidth: 130 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Swap spread (%/yr)
+                </label>
+                <input
+                  type="number"
+                  className="border rounded-xl p-2 w-28"
+                  value={swapSpread}
+                  step={0.05}
+                  min={0}
+                  onChange={function (e) {
+                    var n = Number(e.target.value);
+                    setSwapSpread(isNaN(n) ? 0 : n);
+                  }}
+                />
+              </div>
+
+              {/* Rebalance schedule */}
+              <div className="flex flex-col" style={{ minWidth: 180 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Rebalance
+                </label>
+                <select
+                  className="border rounded-xl p-2 w-44"
+                  value={rebalance}
+                  onChange={function (e) {
+                    setRebalance(toRebalance(e.target.value));
+                  }}
+                >
+                  {REBALANCE_OPTIONS.map(function (o) {
+                    return (
+                      <option key={"rb-" + o.value} value={o.value}>
+                        {o.label}
+                      </option>
+                    );
+                  })}
+                </select>
+              </div>
+              {rebalance === "drift" && (
+                <div className="flex flex-col" style={{ minWidth: 130 }}>
+                  <label className="block text-sm text-gray-600 mb-1">
+                    Drift threshold (%)
+                  </label>
+                  <input
+                    type="number"
+                    className="border rounded-xl p-2 w-28"
+                    value={driftThreshold}
+                    step={1}
+                    min={0}
+                    onChange={function (e) {
+                      var n = Number(e.target.value);
+                      setDriftThreshold(isNaN(n) ? 0 : n);
+                    }}
+                  />
+                </div>
+              )}
+
+              {/* Liquidation threshold */}
+              <div className="flex flex-col" style={{ minWidth: 150 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Maintenance margin (%)
+                </label>
+                <input
+                  type="number"
+                  className="border rounded-xl p-2 w-28"
+                  value={maintenanceMargin}
+                  step={1}
+                  min={0}
+                  max={99}
+                  title="Liquidate once equity falls to this share of the position; 0 = only on a total loss"
+                  onChange={function (e) {
+                    var n = Number(e.target.value);
+                    setMaintenanceMargin(isNaN(n) ? 0 : clamp(n, 0, 99));
+                  }}
+                />
+              </div>
+
+              {/* Chart style */}
+              <div className="flex flex-col" style={{ minWidth: 130 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Chart style
+                </label>
+                <select
+                  className="border rounded-xl p-2 w-32"
+                  value={chartStyle}
+                  onChange={function (e) {
+                    setChartStyle(toChartStyle(e.target.value));
+                  }}
+                >
+                  {CHART_STYLE_OPTIONS.map(function (o) {
+                    return (
+                      <option key={"cs-" + o.value} value={o.value}>
+                        {o.label}
+                      </option>
+                    );
+                  })}
+                </select>
+              </div>
+
+              {/* Chart height */}
+              <div className="flex flex-col" style={{ minWidth: 130 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Chart height
+                </label>
+                <select
+                  className="border rounded-xl p-2 w-40"
+                  value={chartHeight}
+                  onChange={function (e) {
+                    setChartHeight(toChartHeight(e.target.value));
+                  }}
+                >
+                  {CHART_HEIGHT_OPTIONS.map(function (o) {
+                    return (
+                      <option key={"ch-" + o.value} value={o.value}>
+                        {o.label}
+                      </option>
+                    );
+                  })}
+                </select>
+              </div>
+
+              {/* Drawdown pane toggle */}
+              <div className="flex flex-col" style={{ minWidth: 120 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Drawdown pane
+                </label>
+                <input
+                  type="checkbox"
+                  className="h-5 w-5 mt-2"
+                  checked={showDrawdown}
                   onChange={function (e) {
-                    var n = Number(e.target.value);
-                    setBaseValue(isNaN(n) ? 0 : n);
+                    setShowDrawdown(e.target.checked);
                   }}
                 />
               </div>
@@ -904,7 +3625,35 @@ export default function LiveSP500Canvas() {
               </div>
 
               {/* Actions */}
-              <div className="flex gap-2 ml-auto">
+              <div className="flex gap-2 ml-auto items-center">
+                <span
+                  className="text-xs"
+                  title={usingDemo ? "Live updates are off for demo data" : ""}
+                >
+                  <span
+                    style={{
+                      display: "inline-block",
+                      width: 8,
+                      height: 8,
+                      borderRadius: 4,
+                      marginRight: 6,
+                      background: LIVE_STATUS[liveStatus].color,
+                    }}
+                  />
+                  {LIVE_STATUS[liveStatus].label}
+                </span>
+                <Button
+                  variant="secondary"
+                  disabled={historical}
+                  title={historical ? "Clear the end date to follow live data" : undefined}
+                  onClick={function () {
+                    setLive(function (v) {
+                      return !v;
+                    });
+                  }}
+                >
+                  {live ? "Pause live" : "Go live"}
+                </Button>
                 <Button
                   onClick={function () {
                     setKey(function (k) {
@@ -917,6 +3666,115 @@ export default function LiveSP500Canvas() {
                 <Button variant="secondary" onClick={fitToScreen}>
                   Fit
                 </Button>
+                <Button
+                  variant="secondary"
+                  aria-pressed={measureMode}
+                  title="Click two points, or Shift-drag on the chart, to measure"
+                  onClick={function () {
+                    setMeasureMode(!measureMode);
+                    setMeasure(null);
+                    setDrawTool(null);
+                    setDraft(null);
+                  }}
+                >
+                  {measureMode ? "Measuring…" : "Measure"}
+                </Button>
+                <details className="relative">
+                  <summary
+                    className="px-3 py-2 text-sm font-medium rounded-2xl border bg-slate-50 border-slate-300 cursor-pointer"
+                    style={{ listStyle: "none" }}
+                  >
+                    Export
+                  </summary>
+                  <div
+                    className="absolute right-0 mt-1 p-3 rounded-xl border bg-white shadow text-sm space-y-2"
+                    style={{ zIndex: 10, minWidth: 200 }}
+                  >
+                    <select
+                      className="border rounded-xl p-2 w-full"
+                      value={exportRange}
+                      onChange={function (e) {
+                        setExportRange(
+                          e.target.value === "full" ? "full" : "visible"
+                        );
+                      }}
+                    >
+                      <option value="visible">Visible range</option>
+                      <option value="full">Full range</option>
+                    </select>
+                    <Button
+                      variant="secondary"
+                      className="w-full"
+                      disabled={!synth.length}
+                      onClick={function () {
+                        exportData("csv");
+                      }}
+                    >
+                      CSV
+                    </Button>
+                    <Button
+                      variant="secondary"
+                      className="w-full"
+                      disabled={!synth.length}
+                      onClick={function () {
+                        exportData("json");
+                      }}
+                    >
+                      JSON
+                    </Button>
+                    <Button
+                      variant="secondary"
+                      className="w-full"
+                      disabled={!synth.length}
+                      onClick={function () {
+                        exportData("xml");
+                      }}
+                    >
+                      Excel XML (.xml)
+                    </Button>
+                    <div className="text-xs text-gray-500 pt-2">Chart image</div>
+                    <label className="flex items-center gap-2 text-xs">
+                      <input
+                        type="checkbox"
+                        checked={exportCrosshair}
+                        onChange={function (e) {
+                          setExportCrosshair(e.target.checked);
+                        }}
+                      />
+                      Include crosshair
+                    </label>
+                    <Button
+                      variant="secondary"
+                      className="w-full"
+                      disabled={synth.length < 2}
+                      onClick={function () {
+                        exportImage("svg");
+                      }}
+                    >
+                      Download SVG
+                    </Button>
+                    <div className="flex gap-1">
+                      {[1, 2, 4].map(function (scale) {
+                        return (
+                          <Button
+                            key={"png-" + scale}
+                            variant="secondary"
+                            className="flex-1"
+                            disabled={synth.length < 2}
+                            onClick={function () {
+                              exportImage("png", scale);
+                            }}
+                          >
+                            {"PNG " + scale + "x"}
+                          </Button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                </details>
+                <Button variant="secondary" onClick={copyLink}>
+                  {copied ? "Copied!" : "Copy link"}
+                </Button>
                 <Button variant="secondary" onClick={resetAll}>
                   Reset
                 </Button>
@@ -928,211 +3786,1268 @@ export default function LiveSP500Canvas() {
 
       {/* Full-width chart section */}
       <div
+        ref={chartBoxRef}
         className="rounded-2xl shadow border p-4 w-full"
-        style={{ background: bg, color: fg }}
+        style={{ background: bg, color: fg, overflowX: "auto" }}
       >
         {error && (
           <div
             className="mb-2 text-xs"
             style={{ color: theme === "dark" ? "#fca5a5" : "#b91c1c" }}
           >
-            {"Data note: " + error}
+            {"Data note (" + symbol + "): " + error}
           </div>
         )}
 
-        {synth.length > 1 ? (
-          <svg
-            ref={svgRef}
-            width="100%"
-            viewBox="0 0 1200 640"
-            role="img"
-            aria-label="Synthetic S&P 500 chart"
-            onWheel={onWheel}
-            onPointerDown={onPointerDown}
-            onPointerMove={onPointerMove}
-            onPointerUp={onPointerUp}
-            onPointerLeave={onLeave}
+        {liquidationText && (
+          <div
+            role="alert"
+            className="mb-2 p-2 text-sm rounded-xl border"
             style={{
-              touchAction: "none",
-              cursor: isPanning ? "grabbing" : "crosshair",
+              color: theme === "dark" ? "#fca5a5" : "#b91c1c",
+              borderColor: downColor,
             }}
           >
-            <rect x="0" y="0" width={1200} height={640} fill={bg} />
-
-            {/* Price axis right margin divider */}
-            <line
-              x1={1200 - rightMargin}
-              y1={30}
-              x2={1200 - rightMargin}
-              y2={640 - 30}
-              stroke="#e5e7eb"
-              strokeWidth="1"
+            {liquidationText}
+          </div>
+        )}
+
+        {synth.length > 1 ? (
+          <div style={{ position: "relative", width: width, height: svgHeight }}>
+            <canvas
+              ref={canvasRef}
+              style={{
+                position: "absolute",
+                left: 0,
+                top: 0,
+                width: width,
+                height: height,
+                pointerEvents: "none",
+              }}
             />
+            <svg
+              ref={svgRef}
+              width={width}
+              height={svgHeight}
+              viewBox={"0 0 " + width + " " + svgHeight}
+              role="application"
+              aria-roledescription="interactive chart"
+              aria-label={titleLabel}
+              aria-describedby={chartHelpId + " " + chartSummaryId}
+              tabIndex={0}
+              onKeyDown={onKeyDown}
+              onWheel={onWheel}
+              onPointerDown={onPointerDown}
+              onPointerMove={onPointerMove}
+              onPointerUp={onPointerUp}
+              onPointerLeave={onLeave}
+              style={{
+                position: "relative",
+                display: "block",
+                touchAction: "none",
+                cursor: isPanning && !measureMode ? "grabbing" : "crosshair",
+              }}
+            >
+              {/* Price axis right margin divider */}
+              <line
+                x1={width - rightMargin}
+                y1={30}
+                x2={width - rightMargin}
+                y2={height - 30}
+                stroke="#e5e7eb"
+                strokeWidth="1"
+              />
 
-            {/* Grid + Axes */}
-            <g>
-              {yTicks.map(function (t, i) {
-                return (
-                  <g key={"y-" + i}>
+              {/* Grid + Axes */}
+              <g>
+                {yTicks.map(function (t, i) {
+                  return (
+                    <g key={"y-" + i}>
+                      <line
+                        x1={padLeft}
+                        y1={t.y}
+                        x2={width - rightMargin - 10}
+                        y2={t.y}
+                        stroke="#e5e7eb"
+                        strokeWidth="0.5"
+                      />
+                      <text x={5} y={t.y + 4} fontSize="10" fill={fg}>
+                        {t.label}
+                      </text>
+                    </g>
+                  );
+                })}
+
+                {xTicks.map(function (t, i) {
+                  return (
                     <line
-                      x1={40}
-                      y1={t.y}
-                      x2={1200 - rightMargin - 10}
-                      y2={t.y}
+                      key={"xg-" + i}
+                      x1={t.x}
+                      y1={height - 30}
+                      x2={t.x}
+                      y2={30}
                       stroke="#e5e7eb"
                       strokeWidth="0.5"
                     />
-                    <text x={5} y={t.y + 4} fontSize="10" fill={fg}>
+                  );
+                })}
+
+                {xLabels.map(function (t, i) {
+                  return (
+                    <text
+                      key={"xl-" + i}
+                      x={t.x}
+                      y={height - 10}
+                      fontSize="10"
+                      fill={fg}
+                      textAnchor="middle"
+                    >
                       {t.label}
                     </text>
-                  </g>
+                  );
+                })}
+              </g>
+
+              {/* Series paths + candles: drawn on the canvas, kept for export */}
+              <g data-export-only="true" display="none">
+                {chart.series
+                  .slice(1)
+                  .reverse()
+                  .map(function (s) {
+                    const k = chart.series.indexOf(s);
+                    return (
+                      <path
+                        key={"path-" + s.id}
+                        d={s.path}
+                        fill="none"
+                        stroke={seriesColors[k]}
+                        strokeWidth={2}
+                      />
+                    );
+                  })}
+                {chartStyle === "line" && (
+                  <path d={path} fill="none" stroke={color} strokeWidth={3} />
+                )}
+
+                {/* Candles / OHLC bars for the primary series */}
+                {chartStyle === "candle" &&
+                  chart.bars.map(function (b) {
+                    const barColor = b.up ? upColor : downColor;
+                    return (
+                      <g key={"c-" + b.time}>
+                        <line
+                          x1={b.x}
+                          y1={b.high}
+                          x2={b.x}
+                          y2={b.low}
+                          stroke={barColor}
+                        />
+                        <rect
+                          x={b.x - b.w / 2}
+                          y={Math.min(b.open, b.close)}
+                          width={b.w}
+                          height={Math.max(1, Math.abs(b.close - b.open))}
+                          fill={barColor}
+                        />
+                      </g>
+                    );
+                  })}
+                {chartStyle === "bar" &&
+                  chart.bars.map(function (b) {
+                    const barColor = b.up ? upColor : downColor;
+                    return (
+                      <path
+                        key={"b-" + b.time}
+                        d={
+                          "M " + b.x + " " + b.high +
+                          " L " + b.x + " " + b.low +
+                          " M " + (b.x - b.w / 2) + " " + b.open +
+                          " L " + b.x + " " + b.open +
+                          " M " + b.x + " " + b.close +
+                          " L " + (b.x + b.w / 2) + " " + b.close
+                        }
+                        stroke={barColor}
+                        fill="none"
+                      />
+                    );
+                  })}
+              </g>
+
+              {/* Dividend markers along the bottom of the plot */}
+              {dividendMarks.map(function (d) {
+                return (
+                  <path
+                    key={"div-" + d.time}
+                    d={
+                      "M " + d.x + " " + (height - 46) +
+                      " L " + (d.x - 4) + " " + (height - 38) +
+                      " L " + (d.x + 4) + " " + (height - 38) + " Z"
+                    }
+                    fill={theme === "dark" ? "#fbbf24" : "#d97706"}
+                  >
+                    <title>
+                      {(dataSource.dividendSource && dataSource.dividendSource !== symbol
+                        ? dataSource.dividendSource + " dividend "
+                        : "Dividend ") +
+                        d.amount.toFixed(4) +
+                        " · " +
+                        formatDate(d.time)}
+                    </title>
+                  </path>
                 );
               })}
 
-              {xTicks.map(function (t, i) {
+              {/* Last value line for the primary series */}
+              {last && (
+                <line
+                  x1={padLeft}
+                  y1={yScale(last.value)}
+                  x2={width - rightMargin}
+                  y2={yScale(last.value)}
+                  stroke={color}
+                  strokeDasharray="6 4"
+                />
+              )}
+
+              {/* Last value badges on right margin */}
+              {badges.map(function (b) {
                 return (
+                  <g key={"badge-" + b.id}>
+                    <line
+                      x1={width - rightMargin}
+                      y1={b.y}
+                      x2={width - rightMargin + 6}
+                      y2={b.labelY}
+                      stroke={b.color}
+                    />
+                    <rect
+                      x={width - 4 - b.w}
+                      y={b.labelY - 14}
+                      width={b.w}
+                      height={28}
+                      rx={6}
+                      fill={theme === "dark" ? "#111827" : "#f1f5f9"}
+                      stroke={b.color}
+                    />
+                    <text
+                      x={width - b.w + 2}
+                      y={b.labelY + 4}
+                      fontSize="12"
+                      fill={fg}
+                    >
+                      {b.text}
+                    </text>
+                  </g>
+                );
+              })}
+
+              {/* Drawdown pane */}
+              {drawdown && (
+                <g>
                   <line
-                    key={"xg-" + i}
-                    x1={t.x}
-                    y1={640 - 30}
-                    x2={t.x}
-                    y2={30}
+                    x1={padLeft}
+                    y1={drawdown.top - 6}
+                    x2={width - rightMargin}
+                    y2={drawdown.top - 6}
                     stroke="#e5e7eb"
-                    strokeWidth="0.5"
                   />
+                  {drawdown.ticks.map(function (t, i) {
+                    return (
+                      <g key={"ddy-" + i}>
+                        <line
+                          x1={padLeft}
+                          y1={t.y}
+                          x2={width - rightMargin - 10}
+                          y2={t.y}
+                          stroke="#e5e7eb"
+                          strokeWidth="0.5"
+                        />
+                        <text x={5} y={t.y + 4} fontSize="10" fill={fg}>
+                          {t.label}
+                        </text>
+                      </g>
+                    );
+                  })}
+                  {drawdown.lines
+                    .slice()
+                    .reverse()
+                    .map(function (l) {
+                      return (
+                        <path
+                          key={"dd-" + l.id}
+                          d={l.path}
+                          fill="none"
+                          stroke={l.color}
+                          strokeWidth={l.id === preset ? 2 : 1.5}
+                        />
+                      );
+                    })}
+                  {drawdownMax && (
+                    <g>
+                      <circle
+                        cx={xScale(drawdownMax.time)}
+                        cy={drawdown.yScale(drawdownMax.value)}
+                        r={4}
+                        fill={color}
+                      />
+                      <text
+                        x={xScale(drawdownMax.time) + 6}
+                        y={drawdown.yScale(drawdownMax.value) - 6}
+                        fontSize="11"
+                        fill={fg}
+                      >
+                        {"Max DD " + drawdownMax.value.toFixed(1) + "%"}
+                      </text>
+                    </g>
+                  )}
+                  {drawdownRecovery !== null && (
+                    <g>
+                      <line
+                        x1={xScale(drawdownRecovery)}
+                        y1={drawdown.top}
+                        x2={xScale(drawdownRecovery)}
+                        y2={drawdown.bottom}
+                        stroke={color}
+                        strokeDasharray="3 3"
+                      />
+                      <text
+                        x={xScale(drawdownRecovery) + 4}
+                        y={drawdown.top + 12}
+                        fontSize="11"
+                        fill={fg}
+                      >
+                        {"Recovered " + new Date(drawdownRecovery).toLocaleDateString()}
+                      </text>
+                    </g>
+                  )}
+                  <text x={50} y={svgHeight - 10} fontSize="11" fill={fg}>
+                    {drawdownLabel}
+                  </text>
+                  {cross && crossDrawdown !== null && (
+                    <circle
+                      data-transient="true"
+                      cx={cross.x}
+                      cy={drawdown.yScale(crossDrawdown)}
+                      r={3}
+                      fill={color}
+                    />
+                  )}
+                </g>
+              )}
+
+              {/* Liquidation marker */}
+              {liquidationX !== null && (
+                <g>
+                  <line
+                    x1={liquidationX}
+                    y1={30}
+                    x2={liquidationX}
+                    y2={height - 30}
+                    stroke={downColor}
+                    strokeWidth={1.5}
+                  />
+                  <text
+                    x={liquidationX - 4}
+                    y={height - 36}
+                    fontSize="11"
+                    fontWeight="600"
+                    fill={downColor}
+                    textAnchor="end"
+                  >
+                    {"✕ Liquidated " + liquidationLev}
+                  </text>
+                </g>
+              )}
+
+              {/* Market event markers; hover for details, click to zoom in */}
+              {eventMarkers.map(function (m) {
+                return (
+                  <g
+                    key={"ev-" + m.ev.id}
+                    data-event-id={m.ev.id}
+                    style={{ cursor: "pointer" }}
+                    onPointerEnter={function () {
+                      setHoverEventId(m.ev.id);
+                    }}
+                    onPointerLeave={function () {
+                      setHoverEventId(null);
+                    }}
+                  >
+                    <line
+                      x1={m.x}
+                      y1={38}
+                      x2={m.x}
+                      y2={height - 30}
+                      stroke={m.color}
+                      strokeOpacity={0.7}
+                      strokeDasharray="2 3"
+                      pointerEvents="none"
+                    />
+                    <path
+                      d={"M " + (m.x - 5) + " 30 L " + (m.x + 5) + " 30 L " + m.x + " 38 Z"}
+                      fill={m.color}
+                    />
+                    <rect x={m.x - 6} y={26} width={12} height={16} fill="transparent" />
+                  </g>
                 );
               })}
 
-              {xLabels.map(function (t, i) {
-                return (
+              {/* Drawings, clipped to the price pane (kept in image exports) */}
+              {annotationShapes.length > 0 && (
+                <g clipPath={"url(#" + annotationClipId + ")"}>
+                  <clipPath id={annotationClipId}>
+                    <rect
+                      x={padLeft}
+                      y={30}
+                      width={Math.max(0, width - rightMargin - padLeft)}
+                      height={Math.max(0, height - 60)}
+                    />
+                  </clipPath>
+                  {annotationShapes.map(function (s) {
+                    if (s.type === "hline") {
+                      return (
+                        <g key={"an-" + s.id}>
+                          <line
+                            x1={padLeft}
+                            y1={s.y}
+                            x2={width - rightMargin}
+                            y2={s.y}
+                            stroke={ANNOTATION_COLOR}
+                            strokeWidth={1.5}
+                          />
+                          <text
+                            x={width - rightMargin - 6}
+                            y={s.y - 4}
+                            fontSize="11"
+                            fill={ANNOTATION_COLOR}
+                            textAnchor="end"
+                          >
+                            {s.label}
+                          </text>
+                        </g>
+                      );
+                    }
+                    if (s.type === "vline") {
+                      return (
+                        <g key={"an-" + s.id}>
+                          <line
+                            x1={s.x}
+                            y1={30}
+                            x2={s.x}
+                            y2={height - 30}
+                            stroke={ANNOTATION_COLOR}
+                            strokeWidth={1.5}
+                          />
+                          <text x={s.x + 4} y={height - 36} fontSize="11" fill={ANNOTATION_COLOR}>
+                            {s.label}
+                          </text>
+                        </g>
+                      );
+                    }
+                    if (s.type === "trend") {
+                      return (
+                        <g key={"an-" + s.id}>
+                          <line
+                            x1={s.x}
+                            y1={s.y}
+                            x2={s.x1}
+                            y2={s.y1}
+                            stroke={ANNOTATION_COLOR}
+                            strokeWidth={2}
+                            strokeDasharray={s.draft ? "4 3" : undefined}
+                          />
+                          {s.label && (
+                            <text x={s.x1 + 4} y={s.y1 - 4} fontSize="11" fill={ANNOTATION_COLOR}>
+                              {s.label}
+                            </text>
+                          )}
+                        </g>
+                      );
+                    }
+                    return (
+                      <g key={"an-" + s.id}>
+                        <circle cx={s.x} cy={s.y} r={3} fill={ANNOTATION_COLOR} />
+                        <text x={s.x + 6} y={s.y - 6} fontSize="12" fill={fg}>
+                          {s.label}
+                        </text>
+                      </g>
+                    );
+                  })}
+                </g>
+              )}
+
+              {/* Measured range (kept in image exports) */}
+              {measureBox && (
+                <g>
+                  <rect
+                    x={Math.min(measureBox.x0, measureBox.x1)}
+                    y={30}
+                    width={Math.abs(measureBox.x1 - measureBox.x0)}
+                    height={height - 60}
+                    fill={measureBox.color}
+                    fillOpacity={0.12}
+                    stroke={measureBox.color}
+                    strokeDasharray="3 3"
+                  />
+                  <rect
+                    x={measureLabelX}
+                    y={66}
+                    width={MEASURE_LABEL_WIDTH}
+                    height={12 + measureBox.rows.length * 15}
+                    rx={6}
+                    fill={theme === "dark" ? "#111827" : "#f1f5f9"}
+                    stroke={measureBox.color}
+                  />
+                  {measureBox.rows.map(function (row, i) {
+                    return (
+                      <text
+                        key={"m-" + i}
+                        x={measureLabelX + 8}
+                        y={82 + i * 15}
+                        fontSize="11"
+                        fill={fg}
+                      >
+                        {row}
+                      </text>
+                    );
+                  })}
+                </g>
+              )}
+
+              {/* Crosshair (left out of image exports by default) */}
+              {cross && (
+                <g data-transient="true">
+                  <line
+                    x1={cross.x}
+                    y1={30}
+                    x2={cross.x}
+                    y2={drawdown ? drawdown.bottom : height - 30}
+                    stroke="#94a3b8"
+                    strokeDasharray="4 4"
+                  />
+                  <line
+                    x1={padLeft}
+                    y1={cross.y}
+                    x2={width - rightMargin - 10}
+                    y2={cross.y}
+                    stroke="#94a3b8"
+                    strokeDasharray="4 4"
+                  />
+                  <circle cx={cross.x} cy={cross.y} r={3} fill={color} />
+                  <rect
+                    x={crossBoxX}
+                    y={crossBoxY}
+                    width={crossBoxWidth}
+                    height={crossBoxHeight}
+                    rx={6}
+                    fill={theme === "dark" ? "#111827" : "#f1f5f9"}
+                    stroke="#94a3b8"
+                  />
                   <text
-                    key={"xl-" + i}
-                    x={t.x}
-                    y={640 - 10}
-                    fontSize="10"
+                    x={crossBoxX + 8}
+                    y={crossBoxY + 16}
+                    fontSize="11"
                     fill={fg}
-                    textAnchor="middle"
                   >
-                    {t.label}
+                    {crossLabel}
                   </text>
-                );
-              })}
-            </g>
+                  {crossOhlcLabel && (
+                    <text
+                      x={crossBoxX + 8}
+                      y={crossBoxY + 30}
+                      fontSize="11"
+                      fill={fg}
+                    >
+                      {crossOhlcLabel}
+                    </text>
+                  )}
+                  {crossRows.map(function (row, i) {
+                    return (
+                      <g key={"cr-" + row.id}>
+                        <rect
+                          x={crossBoxX + 8}
+                          y={crossBoxY + crossRowsTop + i * 14}
+                          width={8}
+                          height={8}
+                          fill={row.color}
+                        />
+                        <text
+                          x={crossBoxX + 22}
+                          y={crossBoxY + crossRowsTop + 8 + i * 14}
+                          fontSize="11"
+                          fill={fg}
+                        >
+                          {row.text}
+                        </text>
+                      </g>
+                    );
+                  })}
+                </g>
+              )}
 
-            {/* Line path */}
-            <path d={path} fill="none" stroke={color} strokeWidth={3} />
+              {/* Hovered event card (left out of image exports) */}
+              {eventCard && (
+                <g data-transient="true" pointerEvents="none">
+                  <rect
+                    x={eventCard.x}
+                    y={44}
+                    width={EVENT_CARD_WIDTH}
+                    height={44 + eventCard.lines.length * 14}
+                    rx={6}
+                    fill={theme === "dark" ? "#111827" : "#f1f5f9"}
+                    stroke={eventCard.color}
+                  />
+                  <text
+                    x={eventCard.x + 8}
+                    y={60}
+                    fontSize="12"
+                    fontWeight="600"
+                    fill={fg}
+                  >
+                    {eventCard.title}
+                  </text>
+                  <text x={eventCard.x + 8} y={75} fontSize="10" fill={eventCard.color}>
+                    {eventCard.meta}
+                  </text>
+                  {eventCard.lines.map(function (line, i) {
+                    return (
+                      <text
+                        key={"evl-" + i}
+                        x={eventCard.x + 8}
+                        y={91 + i * 14}
+                        fontSize="11"
+                        fill={fg}
+                      >
+                        {line}
+                      </text>
+                    );
+                  })}
+                </g>
+              )}
 
-            {/* Last value badge on right margin */}
-            {last && (
+              {/* Legend, wrapping onto extra rows on narrow charts */}
               <g>
-                <line
-                  x1={40}
-                  y1={yScale(last.value)}
-                  x2={1200 - rightMargin}
-                  y2={yScale(last.value)}
-                  stroke={color}
-                  strokeDasharray="6 4"
-                />
-                <line
-                  x1={1200 - rightMargin}
-                  y1={yScale(last.value)}
-                  x2={1200 - rightMargin + 6}
-                  y2={yScale(last.value)}
-                  stroke={color}
-                />
-                <rect
-                  x={1200 - rightMargin + 10}
-                  y={yScale(last.value) - 14}
-                  width={120}
-                  height={28}
-                  rx={6}
-                  fill={theme === "dark" ? "#111827" : "#f1f5f9"}
-                  stroke={color}
-                />
-                <text
-                  x={1200 - rightMargin + 16}
-                  y={yScale(last.value) + 4}
-                  fontSize="12"
-                  fill={fg}
-                >
-                  {lastBadgeText}
-                </text>
+                {seriesList.map(function (s, k) {
+                  const lx = 50 + (k % legendPerRow) * 110;
+                  const ly = 52 + Math.floor(k / legendPerRow) * 14;
+                  return (
+                    <g key={"legend-" + s.id}>
+                      <line
+                        x1={lx}
+                        y1={ly}
+                        x2={lx + 16}
+                        y2={ly}
+                        stroke={seriesColors[k]}
+                        strokeWidth={k === 0 ? 3 : 2}
+                      />
+                      <text x={lx + 22} y={ly + 4} fontSize={11} fill={fg}>
+                        {seriesLabel(s.id, symbol)}
+                      </text>
+                    </g>
+                  );
+                })}
               </g>
+
+              {/* Header labels */}
+              <text x={50} y={20} fontSize={14} fill={fg}>
+                {titleLabel}
+              </text>
+              {/* Narrow charts keep only the title; the controls show the rest */}
+              {!compactHeader && startLabel && (
+                <text x={400} y={20} fontSize={12} fill={fg}>
+                  {startLabel}
+                </text>
+              )}
+              {!compactHeader && effectiveStartLabel && (
+                <text x={400} y={36} fontSize={11} fill={fg}>
+                  {effectiveStartLabel}
+                </text>
+              )}
+              {!compactHeader && (
+                <text x={width - rightMargin - 280} y={20} fontSize={12} fill={fg}>
+                  {lastHeaderLabel}
+                </text>
+              )}
+            </svg>
+          </div>
+        ) : (
+          <div className="p-6 text-sm">No data to display.</div>
+        )}
+
+        {/* Screen-reader help, announcements and a data summary */}
+        <p id={chartHelpId} style={VISUALLY_HIDDEN}>
+          Left and Right arrows move the crosshair one bar. Shift with an arrow
+          pans, plus and minus zoom, Home and End jump to the first and last
+          bar, Escape hides the crosshair and cancels measuring or drawing.
+        </p>
+        <div role="status" aria-live="polite" style={VISUALLY_HIDDEN}>
+          {liveMessage}
+        </div>
+        <table id={chartSummaryId} style={VISUALLY_HIDDEN}>
+          <caption>
+            {summaryRows.length
+              ? "Visible range " +
+                formatDate(summaryRows[0].firstTime) +
+                " to " +
+                formatDate(summaryRows[0].lastTime)
+              : "No data"}
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col">Series</th>
+              <th scope="col">First</th>
+              <th scope="col">Last</th>
+              <th scope="col">Change</th>
+              <th scope="col">Low</th>
+              <th scope="col">High</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summaryRows.map(function (r) {
+              return (
+                <tr key={"sum-" + r.id}>
+                  <th scope="row">{r.label}</th>
+                  <td>{r.first.toFixed(2)}</td>
+                  <td>{r.last.toFixed(2)}</td>
+                  <td>{(r.change >= 0 ? "+" : "") + r.change.toFixed(2) + "%"}</td>
+                  <td>{r.low.toFixed(2)}</td>
+                  <td>{r.high.toFixed(2)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Drawing tools and the saved drawings for this symbol/leverage */}
+      <div className="max-w-6xl mx-auto">
+        <Card>
+          <CardContent className="p-4">
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+              <div className="text-sm font-semibold mr-2">
+                {"Annotations · " + seriesLabel(preset, symbol)}
+              </div>
+              {DRAW_TOOLS.map(function (o) {
+                return (
+                  <Button
+                    key={"tool-" + o.value}
+                    variant="secondary"
+                    aria-pressed={drawTool === o.value}
+                    onClick={function () {
+                      setDrawTool(drawTool === o.value ? null : o.value);
+                      setDraft(null);
+                      setMeasureMode(false);
+                      setMeasure(null);
+                    }}
+                  >
+                    {o.label}
+                  </Button>
+                );
+              })}
+              <Button
+                variant="secondary"
+                className="ml-auto"
+                disabled={annotations.length === 0}
+                onClick={function () {
+                  updateAnnotations(function () {
+                    return [];
+                  });
+                }}
+              >
+                Clear all
+              </Button>
+            </div>
+            {drawTool && (
+              <div className="text-xs text-gray-500 mb-2">
+                {drawTool === "trend"
+                  ? draft
+                    ? "Click the second point of the trend line (Escape cancels)."
+                    : "Drag on the chart, or click two points, to draw a trend line."
+                  : "Click on the chart to place it (Escape cancels)."}
+              </div>
+            )}
+            {annotations.length ? (
+              <div className="space-y-2 text-sm">
+                {annotations.map(function (a) {
+                  const tool = DRAW_TOOLS.find(function (o) {
+                    return o.value === a.type;
+                  });
+                  // fields for a point's price level and date; each edit
+                  // keeps the other coordinates
+                  const levelInput = function (key, label) {
+                    return (
+                      <input
+                        type="number"
+                        aria-label={label}
+                        className="border rounded-xl p-2 w-32"
+                        value={a[key]}
+                        step="any"
+                        onChange={function (e) {
+                          const n = Number(e.target.value);
+                          if (e.target.value !== "" && isFinite(n)) {
+                            editAnnotation(a.id, { [key]: n });
+                          }
+                        }}
+                      />
+                    );
+                  };
+                  const timeInput = function (key, label) {
+                    return (
+                      <input
+                        type="datetime-local"
+                        aria-label={label}
+                        className="border rounded-xl p-2 w-56"
+                        value={toLocalInputValue(a[key])}
+                        onChange={function (e) {
+                          const ts = Date.parse(e.target.value);
+                          if (!isNaN(ts)) editAnnotation(a.id, { [key]: ts });
+                        }}
+                      />
+                    );
+                  };
+                  return (
+                    <div key={"annot-" + a.id} className="flex flex-wrap items-center gap-2">
+                      <span className="w-32 text-gray-600">{tool.label}</span>
+                      {a.type === "hline" && levelInput("v0", "Level")}
+                      {a.type === "vline" && timeInput("t0", "Date")}
+                      {a.type === "trend" && (
+                        <>
+                          {timeInput("t0", "Start date")}
+                          {levelInput("v0", "Start level")}
+                          <span className="text-gray-600">→</span>
+                          {timeInput("t1", "End date")}
+                          {levelInput("v1", "End level")}
+                        </>
+                      )}
+                      {a.type === "note" && (
+                        <>
+                          {timeInput("t0", "Date")}
+                          {levelInput("v0", "Level")}
+                        </>
+                      )}
+                      <input
+                        type="text"
+                        aria-label={a.type === "note" ? "Note text" : "Label"}
+                        placeholder={a.type === "note" ? "Note text" : "Label"}
+                        className="border rounded-xl p-2 w-56"
+                        value={a.text}
+                        onChange={function (e) {
+                          editAnnotation(a.id, { text: e.target.value });
+                        }}
+                      />
+                      <Button
+                        variant="secondary"
+                        aria-label={"Delete " + tool.label.toLowerCase()}
+                        onClick={function () {
+                          deleteAnnotation(a.id);
+                        }}
+                      >
+                        Delete
+                      </Button>
+                    </div>
+                  );
+                })}
+              </div>
+            ) : (
+              <div className="text-sm text-gray-500">
+                No drawings for this view yet. Pick a tool, then click on the chart.
+              </div>
             )}
+          </CardContent>
+        </Card>
+      </div>
 
-            {/* Crosshair */}
-            {cross && (
-              <g>
-                <line
-                  x1={cross.x}
-                  y1={30}
-                  x2={cross.x}
-                  y2={640 - 30}
-                  stroke="#94a3b8"
-                  strokeDasharray="4 4"
-                />
-                <line
-                  x1={40}
-                  y1={cross.y}
-                  x2={1200 - rightMargin - 10}
-                  y2={cross.y}
-                  stroke="#94a3b8"
-                  strokeDasharray="4 4"
+      {/* Market event layer: category filter, imports and the event list */}
+      <div className="max-w-6xl mx-auto">
+        <Card>
+          <CardContent className="p-4">
+            <div className="flex flex-wrap items-center gap-4 mb-3">
+              <div className="text-sm font-semibold">Market events</div>
+              {EVENT_CATEGORIES.map(function (c) {
+                return (
+                  <label key={"evc-" + c.value} className="flex items-center gap-1 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={eventFilter.indexOf(c.value) !== -1}
+                      onChange={function (e) {
+                        const on = e.target.checked;
+                        setEventFilter(function (list) {
+                          return on
+                            ? list.concat(c.value)
+                            : list.filter(function (v) {
+                                return v !== c.value;
+                              });
+                        });
+                      }}
+                    />
+                    <span
+                      style={{
+                        display: "inline-block",
+                        width: 10,
+                        height: 10,
+                        borderRadius: 2,
+                        background: c.color,
+                      }}
+                    />
+                    {c.label}
+                  </label>
+                );
+              })}
+              <label className="ml-auto px-3 py-2 text-sm font-medium rounded-2xl border bg-slate-50 border-slate-300 cursor-pointer">
+                Import JSON/CSV…
+                <input
+                  type="file"
+                  accept=".json,.csv,application/json,text/csv"
+                  style={VISUALLY_HIDDEN}
+                  onChange={function (e) {
+                    const file = e.target.files && e.target.files[0];
+                    e.target.value = "";
+                    if (file) importEventFile(file);
+                  }}
                 />
-                <circle cx={cross.x} cy={cross.y} r={3} fill={color} />
-                <rect
-                  x={cross.x + 8}
-                  y={cross.y - 30}
-                  width={220}
-                  height={28}
-                  rx={6}
-                  fill={theme === "dark" ? "#111827" : "#f1f5f9"}
-                  stroke="#94a3b8"
+              </label>
+              <Button
+                variant="secondary"
+                disabled={importedEvents.length === 0}
+                onClick={function () {
+                  setImportedEvents([]);
+                  setEventError("");
+                }}
+              >
+                {"Remove imported (" + importedEvents.length + ")"}
+              </Button>
+            </div>
+            {eventError && (
+              <div className="text-sm text-red-600 mb-2" role="alert">
+                {eventError}
+              </div>
+            )}
+            {dataEvents.length ? (
+              <ul className="text-sm space-y-1" style={{ maxHeight: 220, overflowY: "auto" }}>
+                {dataEvents.map(function (ev) {
+                  return (
+                    <li key={"evli-" + ev.id}>
+                      <button
+                        type="button"
+                        className="text-left w-full"
+                        title={ev.description || undefined}
+                        onClick={function () {
+                          zoomToEvent(ev);
+                        }}
+                      >
+                        <span style={{ color: eventCategory(ev.category).color }}>■ </span>
+                        {new Date(ev.time).toLocaleDateString() + " · " + ev.title}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            ) : (
+              <div className="text-sm text-gray-500">
+                No events of the selected categories in the loaded range.
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Statistics for the visible range */}
+      <div className="max-w-6xl mx-auto">
+        <Card>
+          <CardContent className="p-4">
+            <div className="flex flex-wrap items-end gap-4 mb-3">
+              <div className="text-sm font-semibold">
+                {"Statistics · " + seriesLabel(preset, symbol) + " (visible range)"}
+              </div>
+              <div className="flex flex-col ml-auto" style={{ minWidth: 150 }}>
+                <label className="block text-sm text-gray-600 mb-1">
+                  Risk-free rate (%/yr)
+                </label>
+                <input
+                  type="number"
+                  className="border rounded-xl p-2 w-28"
+                  value={riskFree}
+                  step={0.1}
+                  onChange={function (e) {
+                    var n = Number(e.target.value);
+                    setRiskFree(isNaN(n) ? 0 : n);
+                  }}
                 />
-                <text
-                  x={cross.x + 16}
-                  y={cross.y - 12}
-                  fontSize="11"
-                  fill={fg}
-                >
-                  {crossLabel}
-                </text>
-              </g>
+              </div>
+            </div>
+            {stats ? (
+              <div
+                className="grid gap-2 text-sm"
+                style={{ gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))" }}
+              >
+                {statRows.map(function (row) {
+                  return (
+                    <div key={"stat-" + row.label}>
+                      <div className="text-xs text-gray-500">{row.label}</div>
+                      <div className="font-medium">{row.value}</div>
+                    </div>
+                  );
+                })}
+              </div>
+            ) : (
+              <div className="text-sm">Not enough bars in view.</div>
+            )}
+            {comparison && (
+              <>
+                <div className="text-sm font-semibold mt-4 mb-2">
+                  {"Tracking · " +
+                    comparison.symbol +
+                    " vs " +
+                    seriesLabel(leverageId(comparison.leverage), symbol)}
+                </div>
+                {tracking ? (
+                  <div
+                    className="grid gap-2 text-sm"
+                    style={{ gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))" }}
+                  >
+                    {trackingRows.map(function (row) {
+                      return (
+                        <div key={"track-" + row.label}>
+                          <div className="text-xs text-gray-500">{row.label}</div>
+                          <div className="font-medium">{row.value}</div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : (
+                  <div className="text-sm">
+                    {"Not enough " + comparison.symbol + " bars in view."}
+                  </div>
+                )}
+              </>
             )}
+          </CardContent>
+        </Card>
+      </div>
 
-            {/* Header labels */}
-            <text x={50} y={20} fontSize={14} fill={fg}>
-              {titleLabel}
-            </text>
-            {startTs && (
-              <text x={400} y={20} fontSize={12} fill={fg}>
-                {startLabel}
-              </text>
+      {/* Monte Carlo: simulated future paths and their fan for this leverage */}
+      <div className="max-w-6xl mx-auto">
+        <Card>
+          <CardContent className="p-4">
+            <form
+              className="flex flex-wrap items-end gap-4 mb-3"
+              onSubmit={function (e) {
+                e.preventDefault();
+                runSimulation();
+              }}
+            >
+              <div className="text-sm font-semibold self-center">
+                {"Monte Carlo · " + seriesLabel(preset, symbol)}
+              </div>
+              <div className="flex flex-col">
+                <label className="block text-sm text-gray-600 mb-1">Method</label>
+                <select
+                  className="border rounded-xl p-2"
+                  value={mcMethod}
+                  onChange={function (e) {
+                    setMcMethod(e.target.value);
+                  }}
+                >
+                  {SIMULATION_METHODS.map(function (m) {
+                    return (
+                      <option key={"mc-" + m.value} value={m.value}>
+                        {m.label}
+                      </option>
+                    );
+                  })}
+                </select>
+              </div>
+              {[
+                { label: "Paths", value: mcPaths, set: setMcPaths, min: 1 },
+                { label: "Horizon (bars)", value: mcHorizon, set: setMcHorizon, min: 1 },
+              ]
+                .concat(
+                  mcMethod === "gbm"
+                    ? [
+                        { label: "Drift (%/yr)", value: mcDrift, set: setMcDrift, step: "any" },
+                        {
+                          label: "Volatility (%/yr)",
+                          value: mcVolatility,
+                          set: setMcVolatility,
+                          min: 0,
+                          step: "any",
+                        },
+                      ]
+                    : []
+                )
+                .concat([
+                  {
+                    label: "Seed",
+                    value: mcSeed,
+                    set: setMcSeed,
+                    min: 0,
+                    max: MAX_SEED,
+                    invalid: !isValidSeed(mcSeed),
+                  },
+                  {
+                    label: "Drawdown limit (%)",
+                    value: mcDrawdown,
+                    set: setMcDrawdown,
+                    min: 0,
+                    max: 100,
+                  },
+                ])
+                .map(function (f) {
+                  return (
+                    <div className="flex flex-col" key={"mcf-" + f.label}>
+                      <label className="block text-sm text-gray-600 mb-1">{f.label}</label>
+                      <input
+                        type="number"
+                        className="border rounded-xl p-2 w-28"
+                        value={f.value}
+                        min={f.min}
+                        max={f.max}
+                        step={f.step}
+                        aria-invalid={f.invalid ? true : undefined}
+                        onChange={function (e) {
+                          var n = Number(e.target.value);
+                          f.set(isNaN(n) ? 0 : n);
+                        }}
+                      />
+                    </div>
+                  );
+                })}
+              <Button
+                type="submit"
+                disabled={filteredData.length < 2 || !isValidSeed(mcSeed)}
+              >
+                {simulation ? "Run again" : "Run"}
+              </Button>
+              {simulation && (
+                <Button
+                  type="button"
+                  variant="secondary"
+                  onClick={function () {
+                    setSimulation(null);
+                    setFanState(null);
+                  }}
+                >
+                  Clear
+                </Button>
+              )}
+            </form>
+            {!isValidSeed(mcSeed) && (
+              <div className="text-sm text-red-600 mb-2" role="alert">
+                {"Seed must be a whole number from 0 to " + MAX_SEED + "."}
+              </div>
             )}
-            {effectiveStartLabel && (
-              <text x={400} y={36} fontSize={11} fill={fg}>
-                {effectiveStartLabel}
-              </text>
+            {simulationError && (
+              <div className="text-sm text-red-600 mb-2" role="alert">
+                {simulationError}
+              </div>
             )}
-            <text x={1200 - rightMargin - 280} y={20} fontSize={12} fill={fg}>
-              {lastHeaderLabel}
-            </text>
-          </svg>
-        ) : (
-          <div className="p-6 text-sm">No data to display.</div>
-        )}
+            {fanChartView ? (
+              <>
+                <svg
+                  width="100%"
+                  viewBox={"0 0 " + width + " " + FAN_HEIGHT}
+                  role="img"
+                  aria-label={
+                    "Monte Carlo fan: median end value " +
+                    fanEnd.p50.toFixed(2) +
+                    ", 5th to 95th percentile " +
+                    fanEnd.p5.toFixed(2) +
+                    " to " +
+                    fanEnd.p95.toFixed(2)
+                  }
+                  style={{ background: bg, borderRadius: 12 }}
+                >
+                  {fanChartView.scales.yTicks.map(function (t, i) {
+                    return (
+                      <g key={"fy-" + i}>
+                        <line
+                          x1={padLeft}
+                          y1={t.y}
+                          x2={width - rightMargin - 10}
+                          y2={t.y}
+                          stroke="#e5e7eb"
+                          strokeWidth="0.5"
+                        />
+                        <text x={5} y={t.y + 4} fontSize="10" fill={fg}>
+                          {t.label}
+                        </text>
+                      </g>
+                    );
+                  })}
+                  {fanChartView.scales.xLabels.map(function (t, i) {
+                    return (
+                      <text
+                        key={"fx-" + i}
+                        x={t.x}
+                        y={FAN_HEIGHT - 10}
+                        fontSize="10"
+                        fill={fg}
+                        textAnchor="middle"
+                      >
+                        {t.label}
+                      </text>
+                    );
+                  })}
+                  <path d={fanChartView.outer} fill={color} fillOpacity="0.15" />
+                  <path d={fanChartView.inner} fill={color} fillOpacity="0.3" />
+                  <line
+                    x1={padLeft}
+                    y1={fanChartView.startY}
+                    x2={width - rightMargin - 10}
+                    y2={fanChartView.startY}
+                    stroke={fg}
+                    strokeDasharray="4 4"
+                    strokeWidth="1"
+                  />
+                  <path d={fanChartView.median} fill="none" stroke={color} strokeWidth="2" />
+                  <text x={padLeft + 8} y={20} fontSize="11" fill={fg}>
+                    {(simulation.method === "gbm"
+                      ? "GBM, drift " +
+                        simulation.drift +
+                        "%, vol " +
+                        simulation.volatility +
+                        "%"
+                      : "Bootstrap of " + simulation.historyBars + " bars") +
+                      " · seed " +
+                      simulation.seed +
+                      " · bands 5/25/50/75/95th pct."}
+                  </text>
+                </svg>
+                <div
+                  className="grid gap-2 text-sm mt-3"
+                  style={{ gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))" }}
+                >
+                  {fanRows.map(function (row) {
+                    return (
+                      <div key={"mc-" + row.label}>
+                        <div className="text-xs text-gray-500">{row.label}</div>
+                        <div className="font-medium">{row.value}</div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </>
+            ) : (
+              <div className="text-sm">
+                Simulate future paths of the underlying, by resampling the
+                returns of the loaded bars or from a drift and volatility, and
+                see the spread of outcomes for this leverage. The same seed
+                gives the same paths.
+              </div>
+            )}
+          </CardContent>
+        </Card>
       </div>
 
       <p className="text-xs text-gray-500 mt-1 text-center">
         Y-scale supports Linear, Log (if values &gt; 0), and Percent (relative
         to the left edge of the visible range). Use the mouse wheel to zoom
-        and drag to pan.
+        and drag to pan; or focus the chart and use the arrow keys, Shift+arrows,
+        +/- and Home/End. Shift-drag (or Measure, then two clicks) measures
+        the change between two bars. Drawings are saved in this browser for
+        each underlying and leverage. Click an event marker to zoom in around
+        it.
       </p>
     </div>
   );
 }
-
-// placeholder to keep file self-contained if needed
-function defineDevHelpers() {
-  return;
-}
@@ -0,0 +1,191 @@
+// src/marketEvents.js
+// Market event catalog helpers: normalizes the bundled catalog
+// (marketEvents.json) and user-imported JSON/CSV files into one sorted,
+// de-duplicated event list for the chart's event layer, and computes the
+// zoom domain that centers the chart on an event.
+
+// -----------------------------------------
+// Categories
+// -----------------------------------------
+export const EVENT_CATEGORIES = [
+  { label: "FOMC decisions", value: "fomc", color: "#0ea5e9" },
+  { label: "CPI releases", value: "cpi", color: "#f59e0b" },
+  { label: "Crashes & extremes", value: "crash", color: "#e11d48" },
+  { label: "Index rebalances", value: "rebalance", color: "#14b8a6" },
+  { label: "Other", value: "other", color: "#64748b" },
+];
+
+// Unknown or missing categories land in "other"
+export function toEventCategory(v) {
+  var c = String(v || "").trim().toLowerCase();
+  for (var i = 0; i < EVENT_CATEGORIES.length; i++) {
+    if (EVENT_CATEGORIES[i].value === c) return c;
+  }
+  return "other";
+}
+
+// -----------------------------------------
+// Parsing
+// -----------------------------------------
+
+// ISO date or datetime -> ms since epoch; NaN when unreadable. Date-only
+// values are placed at 12:00 UTC, so on daily charts they snap to that
+// day's US session rather than the previous evening.
+export function parseEventTime(v) {
+  if (typeof v === "number") return isFinite(v) ? v : NaN;
+  var s = String(v || "").trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return Date.parse(s + "T12:00:00Z");
+  return s ? Date.parse(s) : NaN;
+}
+
+/**
+ * Raw catalog entries ({ date | time, title, category, description }) ->
+ * events { id, time, title, category, description, source }, sorted by time.
+ * Entries without a readable date or a title are dropped.
+ */
+export function normalizeEvents(list, source) {
+  if (!Array.isArray(list)) return [];
+  var out = [];
+  for (var i = 0; i < list.length; i++) {
+    var e = list[i];
+    if (!e || typeof e !== "object") continue;
+    var time = parseEventTime(e.date !== undefined ? e.date : e.time);
+    var title = String(e.title || "").trim();
+    if (isNaN(time) || !title) continue;
+    out.push({
+      id: source + ":" + time + ":" + title,
+      time: time,
+      title: title,
+      category: toEventCategory(e.category),
+      description: String(e.description || "").trim(),
+      source: source,
+    });
+  }
+  return out.sort(function (a, b) {
+    return a.time - b.time;
+  });
+}
+
+// Sorted union of event lists; an event already present (same id) is kept once
+export function mergeEvents() {
+  var seen = {};
+  var out = [];
+  for (var i = 0; i < arguments.length; i++) {
+    var list = arguments[i] || [];
+    for (var j = 0; j < list.length; j++) {
+      if (seen[list[j].id]) continue;
+      seen[list[j].id] = true;
+      out.push(list[j]);
+    }
+  }
+  return out.sort(function (a, b) {
+    return a.time - b.time;
+  });
+}
+
+// RFC 4180 CSV -> rows of strings; quoted fields may hold commas, quotes
+// ("") and line breaks
+export function parseCsv(text) {
+  var rows = [];
+  var row = [];
+  var field = "";
+  var quoted = false;
+  for (var i = 0; i < text.length; i++) {
+    var ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(function (r) {
+    return r.some(function (f) {
+      return f.trim() !== "";
+    });
+  });
+}
+
+/**
+ * Reads an imported event file. JSON may be an array of entries or
+ * { events: [...] }; CSV needs a header row naming at least `date` (or
+ * `time`) and `title`, with optional `category` and `description`.
+ * Throws an Error with a readable message when nothing usable is found.
+ */
+export function parseEventFile(text, filename) {
+  var name = String(filename || "");
+  var trimmed = String(text || "").trim();
+  var entries;
+  if (/\.json$/i.test(name) || /^[[{]/.test(trimmed)) {
+    var parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch {
+      throw new Error("Could not read " + (name || "file") + ": invalid JSON");
+    }
+    entries = Array.isArray(parsed) ? parsed : parsed && parsed.events;
+  } else {
+    var rows = parseCsv(trimmed);
+    var header = (rows[0] || []).map(function (h) {
+      return h.trim().toLowerCase();
+    });
+    entries = rows.slice(1).map(function (r) {
+      var e = {};
+      header.forEach(function (h, k) {
+        e[h] = r[k];
+      });
+      return e;
+    });
+  }
+  var events = normalizeEvents(entries, "import");
+  if (!events.length) {
+    throw new Error(
+      "No events found in " +
+        (name || "file") +
+        " (need a date and a title per event)"
+    );
+  }
+  return events;
+}
+
+// -----------------------------------------
+// Chart helpers
+// -----------------------------------------
+
+// Domain around an event: `bars` bar steps either side, clamped into
+// `bounds` ({ x0, x1 }) while keeping the window's width where possible
+export function eventWindow(time, stepMs, bounds, bars) {
+  var half = (bars || 15) * (stepMs || 31 * 24 * 60 * 60 * 1000);
+  var x0 = time - half;
+  var x1 = time + half;
+  if (x0 < bounds.x0) {
+    x1 = Math.min(bounds.x1, x1 + (bounds.x0 - x0));
+    x0 = bounds.x0;
+  }
+  if (x1 > bounds.x1) {
+    x0 = Math.max(bounds.x0, x0 - (x1 - bounds.x1));
+    x1 = bounds.x1;
+  }
+  return { x0: x0, x1: x1 };
+}
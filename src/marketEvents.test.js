@@ -0,0 +1,119 @@
+// Market events: category and date parsing, CSV/JSON imports, merging with
+// the bundled catalog, and the zoom window around an event.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  eventWindow,
+  mergeEvents,
+  normalizeEvents,
+  parseCsv,
+  parseEventFile,
+  parseEventTime,
+  toEventCategory,
+} from "./marketEvents.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("event parsing", () => {
+  it("places date-only entries at midday UTC and keeps exact times", () => {
+    assert.equal(parseEventTime("2020-03-16"), Date.UTC(2020, 2, 16, 12));
+    assert.equal(
+      parseEventTime("2024-09-18T18:00:00Z"),
+      Date.UTC(2024, 8, 18, 18)
+    );
+    assert.ok(Number.isNaN(parseEventTime("next week")));
+  });
+
+  it("normalizes categories and drops entries without a date or title", () => {
+    const events = normalizeEvents(
+      [
+        { date: "2022-01-03", title: "B", category: "CRASH" },
+        { date: "2021-01-03", title: "A", category: "earnings" },
+        { date: "bad", title: "C" },
+        { date: "2021-01-04" },
+      ],
+      "test"
+    );
+    assert.deepEqual(
+      events.map((e) => [e.title, e.category]),
+      [
+        ["A", "other"],
+        ["B", "crash"],
+      ]
+    );
+    assert.equal(toEventCategory(" fomc "), "fomc");
+  });
+
+  it("reads quoted CSV fields", () => {
+    assert.deepEqual(parseCsv('a,b\r\n"x, ""y""","line\nbreak"\n\n'), [
+      ["a", "b"],
+      ['x, "y"', "line\nbreak"],
+    ]);
+  });
+
+  it("imports CSV by header name and JSON in either shape", () => {
+    const csv = parseEventFile(
+      "Title,Date,Category\nRate cut,2024-09-18T18:00:00Z,fomc\n",
+      "events.csv"
+    );
+    assert.equal(csv.length, 1);
+    assert.equal(csv[0].category, "fomc");
+    assert.equal(csv[0].source, "import");
+
+    const entry = { date: "2024-01-02", title: "X" };
+    assert.equal(parseEventFile(JSON.stringify([entry]), "a.json").length, 1);
+    assert.equal(parseEventFile(JSON.stringify({ events: [entry] }), "").length, 1);
+  });
+
+  it("rejects files without usable events", () => {
+    assert.throws(() => parseEventFile("{oops", "x.json"), /invalid JSON/);
+    assert.throws(() => parseEventFile("name\nfoo\n", "x.csv"), /No events found/);
+  });
+
+  it("merges lists without duplicates", () => {
+    const a = normalizeEvents([{ date: "2024-01-02", title: "X" }], "s");
+    const b = normalizeEvents(
+      [
+        { date: "2024-01-02", title: "X" },
+        { date: "2023-01-02", title: "Y" },
+      ],
+      "s"
+    );
+    assert.deepEqual(
+      mergeEvents(a, b).map((e) => e.title),
+      ["Y", "X"]
+    );
+  });
+
+  it("keeps every entry of the bundled catalog", () => {
+    const raw = JSON.parse(
+      readFileSync(new URL("./marketEvents.json", import.meta.url), "utf8")
+    );
+    const events = normalizeEvents(raw, "catalog");
+    assert.equal(events.length, raw.length);
+    assert.ok(events.every((e) => e.category !== "other"));
+  });
+});
+
+describe("eventWindow", () => {
+  const bounds = { x0: 0, x1: 100 * DAY };
+
+  it("centres a window of bars on the event", () => {
+    assert.deepEqual(eventWindow(50 * DAY, DAY, bounds, 10), {
+      x0: 40 * DAY,
+      x1: 60 * DAY,
+    });
+  });
+
+  it("slides the window inside the data near an edge", () => {
+    assert.deepEqual(eventWindow(95 * DAY, DAY, bounds, 10), {
+      x0: 80 * DAY,
+      x1: 100 * DAY,
+    });
+    assert.deepEqual(eventWindow(2 * DAY, DAY, bounds, 10), {
+      x0: 0,
+      x1: 20 * DAY,
+    });
+  });
+});
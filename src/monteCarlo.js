@@ -0,0 +1,242 @@
+// src/monteCarlo.js
+// Monte Carlo mode: simulates future underlying paths (a bootstrap of the
+// loaded bar returns, or GBM from a drift and volatility), runs each one
+// through buildSyntheticSeries and reduces the outcomes to percentile fan
+// bands and odds. Draws come from a seeded RNG, so a seed always rebuilds
+// the same fan.
+import {
+  BARS_PER_YEAR,
+  buildSyntheticSeries,
+  YEAR_MS,
+} from "./syntheticEngine.js";
+
+export const SIMULATION_METHODS = [
+  { label: "Bootstrap (historical returns)", value: "bootstrap" },
+  { label: "GBM (drift & volatility)", value: "gbm" },
+];
+
+// Percentiles drawn as fan bands; the outer pair and inner pair are filled,
+// the middle one is the median line
+export const FAN_PERCENTILES = [5, 25, 50, 75, 95];
+
+// Upper bound on paths × bars. A run happens on the main thread, and each
+// simulated bar goes through the synthetic engine once per fan, so this keeps
+// a run (and a fan rebuild after a leverage change) well under a second.
+export const MAX_SIMULATED_BARS = 250000;
+
+// Seeds are unsigned 32-bit integers (mulberry32's whole state)
+export const MAX_SEED = 4294967295;
+
+export function isValidSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED;
+}
+
+// -----------------------------------------
+// Random numbers
+// -----------------------------------------
+
+// mulberry32: small, fast, seedable uniform generator on [0, 1). `seed`
+// must pass isValidSeed; anything else would silently become another seed.
+export function createRng(seed) {
+  if (!isValidSeed(seed)) {
+    throw new Error("Seed must be a whole number from 0 to " + MAX_SEED);
+  }
+  var a = seed;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    var t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draws from a uniform generator (Box-Muller; the second
+// value of each pair is kept for the next call)
+export function normalSampler(rng) {
+  var spare = null;
+  return function () {
+    if (spare !== null) {
+      var s = spare;
+      spare = null;
+      return s;
+    }
+    var u = 0;
+    while (u === 0) u = rng();
+    var v = rng();
+    var mag = Math.sqrt(-2 * Math.log(u));
+    spare = mag * Math.sin(2 * Math.PI * v);
+    return mag * Math.cos(2 * Math.PI * v);
+  };
+}
+
+// -----------------------------------------
+// Simulation
+// -----------------------------------------
+
+// Per-bar log returns of a price series (bars with a non-positive price are
+// skipped)
+export function logReturns(spx) {
+  var out = [];
+  for (var i = 1; i < spx.length; i++) {
+    var prev = spx[i - 1].value;
+    var curr = spx[i].value;
+    if (prev > 0 && curr > 0) out.push(Math.log(curr / prev));
+  }
+  return out;
+}
+
+/**
+ * Simulates `paths` future underlying paths of `horizon` bars, each starting
+ * at the last bar of `history`.
+ *
+ * opts: { method: "bootstrap" | "gbm", paths, horizon, interval, seed,
+ *   drift, volatility }
+ *   bootstrap - every bar draws one of the historical bar log returns, with
+ *     replacement
+ *   gbm - geometric Brownian motion with annual `drift` and `volatility`
+ *     (fractions)
+ *
+ * Simulated bars are spaced evenly at one year / BARS_PER_YEAR[interval], so
+ * financing costs and calendar rebalancing see a trading year per year.
+ * Returns { start, startValue, stepMs, paths, horizon, closes } where path
+ * k's closes are closes[k * (horizon + 1) .. k * (horizon + 1) + horizon].
+ * Throws an Error with a readable message when the inputs can't be used.
+ */
+export function simulatePaths(history, opts) {
+  var count = Math.floor(opts.paths);
+  var horizon = Math.floor(opts.horizon);
+  if (!(count >= 1) || !(horizon >= 1)) {
+    throw new Error("Need at least one path and one bar to simulate");
+  }
+  if (count * horizon > MAX_SIMULATED_BARS) {
+    throw new Error(
+      "Too many bars: paths × horizon is limited to " + MAX_SIMULATED_BARS
+    );
+  }
+  var last = history && history.length ? history[history.length - 1] : null;
+  if (!last || !(last.value > 0)) {
+    throw new Error("No starting price to simulate from");
+  }
+  var barsPerYear = BARS_PER_YEAR[opts.interval] || 252;
+  var rng = createRng(opts.seed);
+  var draw;
+  if (opts.method === "gbm") {
+    var dt = 1 / barsPerYear;
+    var sigma = Math.max(0, Number(opts.volatility) || 0);
+    var mu = (Number(opts.drift) || 0) - (sigma * sigma) / 2;
+    var normal = normalSampler(rng);
+    draw = function () {
+      return mu * dt + sigma * Math.sqrt(dt) * normal();
+    };
+  } else {
+    var returns = logReturns(history);
+    if (returns.length < 2) {
+      throw new Error("Bootstrap needs at least three bars of history");
+    }
+    draw = function () {
+      return returns[Math.floor(rng() * returns.length)];
+    };
+  }
+
+  var width = horizon + 1;
+  var closes = new Float64Array(count * width);
+  for (var k = 0; k < count; k++) {
+    var logPrice = Math.log(last.value);
+    closes[k * width] = last.value;
+    for (var i = 1; i < width; i++) {
+      logPrice += draw();
+      closes[k * width + i] = Math.exp(logPrice);
+    }
+  }
+  return {
+    start: last.time,
+    startValue: last.value,
+    stepMs: YEAR_MS / barsPerYear,
+    paths: count,
+    horizon: horizon,
+    closes: closes,
+  };
+}
+
+// Path k of a simulation as underlying bars for buildSyntheticSeries. Each
+// bar opens at the previous close; there is no intrabar range to draw from.
+export function pathBars(sim, k) {
+  var width = sim.horizon + 1;
+  var out = new Array(width);
+  for (var i = 0; i < width; i++) {
+    var close = sim.closes[k * width + i];
+    var open = i ? sim.closes[k * width + i - 1] : close;
+    out[i] = {
+      time: sim.start + i * sim.stepMs,
+      value: close,
+      open: open,
+      high: Math.max(open, close),
+      low: Math.min(open, close),
+      close: close,
+    };
+  }
+  return out;
+}
+
+// -----------------------------------------
+// Fan bands + probabilities
+// -----------------------------------------
+
+// Linearly interpolated percentile (0-100) of an ascending array
+export function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  var pos = (sorted.length - 1) * Math.min(1, Math.max(0, p / 100));
+  var lo = Math.floor(pos);
+  var hi = Math.min(sorted.length - 1, lo + 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Runs every simulated path through the synthetic engine at `leverage` and
+ * summarizes the outcomes:
+ *   bands - per bar { time, p5, p25, p50, p75, p95 } (see FAN_PERCENTILES)
+ *   probBelowStart - share of paths ending below `baseValue`
+ *   probDrawdown - share of paths whose max drawdown exceeds
+ *     `drawdownLimit` (a fraction, e.g. 0.3)
+ *   probLiquidated - share of paths liquidated along the way
+ * `synthOpts` are the usual buildSyntheticSeries options.
+ */
+export function fanChart(sim, leverage, baseValue, synthOpts, drawdownLimit) {
+  var width = sim.horizon + 1;
+  var values = new Float64Array(sim.paths * width);
+  var below = 0;
+  var deep = 0;
+  var liquidated = 0;
+  for (var k = 0; k < sim.paths; k++) {
+    var synth = buildSyntheticSeries(pathBars(sim, k), leverage, baseValue, synthOpts);
+    var peak = -Infinity;
+    var maxDd = 0;
+    for (var i = 0; i < width; i++) {
+      var v = synth[i].value;
+      values[i * sim.paths + k] = v;
+      if (v > peak) peak = v;
+      if (peak > 0 && 1 - v / peak > maxDd) maxDd = 1 - v / peak;
+    }
+    if (synth[width - 1].value < baseValue) below++;
+    if (maxDd > drawdownLimit) deep++;
+    if (synth[width - 1].liquidated) liquidated++;
+  }
+
+  var bands = new Array(width);
+  for (var j = 0; j < width; j++) {
+    // typed arrays sort numerically in place
+    var column = values.slice(j * sim.paths, (j + 1) * sim.paths).sort();
+    var band = { time: sim.start + j * sim.stepMs };
+    FAN_PERCENTILES.forEach(function (p) {
+      band["p" + p] = percentile(column, p);
+    });
+    bands[j] = band;
+  }
+  return {
+    bands: bands,
+    probBelowStart: below / sim.paths,
+    probDrawdown: deep / sim.paths,
+    probLiquidated: liquidated / sim.paths,
+  };
+}
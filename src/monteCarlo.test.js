@@ -0,0 +1,159 @@
+// Monte Carlo mode: seeded draws, path generation, and the fan bands and
+// odds computed from the paths.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createRng,
+  fanChart,
+  isValidSeed,
+  normalSampler,
+  pathBars,
+  percentile,
+  simulatePaths,
+} from "./monteCarlo.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function history(values) {
+  return values.map((value, i) => ({ time: Date.UTC(2024, 0, 2) + i * DAY, value }));
+}
+
+describe("seeded RNG", () => {
+  it("repeats for a seed and differs across seeds", () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const c = createRng(43);
+    const xs = [a(), a(), a()];
+    assert.deepEqual(xs, [b(), b(), b()]);
+    assert.notDeepEqual(xs, [c(), c(), c()]);
+    assert.ok(xs.every((x) => x >= 0 && x < 1));
+  });
+
+  it("accepts only unsigned 32-bit integer seeds", () => {
+    assert.ok(isValidSeed(0) && isValidSeed(4294967295));
+    for (const bad of [1.5, -1, 4294967296, NaN, "1"]) {
+      assert.equal(isValidSeed(bad), false, String(bad));
+      assert.throws(() => createRng(bad), /Seed must be a whole number/);
+    }
+  });
+
+  it("draws roughly standard normals", () => {
+    const normal = normalSampler(createRng(7));
+    const xs = Array.from({ length: 20000 }, normal);
+    const mean = xs.reduce((s, x) => s + x, 0) / xs.length;
+    const sd = Math.sqrt(xs.reduce((s, x) => s + (x - mean) ** 2, 0) / xs.length);
+    assert.ok(Math.abs(mean) < 0.03, "mean " + mean);
+    assert.ok(Math.abs(sd - 1) < 0.03, "sd " + sd);
+  });
+});
+
+describe("simulatePaths", () => {
+  const base = history([100, 101, 99, 102, 103]);
+
+  it("starts every path at the last price and is reproducible", () => {
+    const opts = { method: "bootstrap", paths: 20, horizon: 10, interval: "D", seed: 3 };
+    const sim = simulatePaths(base, opts);
+    assert.equal(sim.closes.length, 20 * 11);
+    for (let k = 0; k < 20; k++) assert.equal(sim.closes[k * 11], 103);
+    assert.deepEqual(simulatePaths(base, opts).closes, sim.closes);
+    assert.notDeepEqual(simulatePaths(base, { ...opts, seed: 4 }).closes, sim.closes);
+  });
+
+  it("bootstraps only returns seen in the history", () => {
+    const sim = simulatePaths(history([100, 110, 99]), {
+      method: "bootstrap",
+      paths: 5,
+      horizon: 8,
+      interval: "D",
+      seed: 1,
+    });
+    for (let k = 0; k < 5; k++) {
+      const bars = pathBars(sim, k);
+      for (let i = 1; i < bars.length; i++) {
+        const r = bars[i].value / bars[i - 1].value;
+        assert.ok(Math.abs(r - 1.1) < 1e-9 || Math.abs(r - 0.9) < 1e-9, "ratio " + r);
+        assert.equal(bars[i].open, bars[i - 1].close);
+      }
+    }
+  });
+
+  it("follows drift without volatility under GBM", () => {
+    const sim = simulatePaths(base, {
+      method: "gbm",
+      paths: 2,
+      horizon: 252,
+      interval: "D",
+      seed: 9,
+      drift: 0.1,
+      volatility: 0,
+    });
+    assert.ok(Math.abs(sim.closes[252] - 103 * Math.exp(0.1)) < 1e-6);
+    assert.equal(pathBars(sim, 1)[252].time - sim.start, 252 * sim.stepMs);
+  });
+
+  it("rejects unusable inputs", () => {
+    assert.throws(
+      () =>
+        simulatePaths(history([100, 101]), {
+          method: "bootstrap",
+          paths: 1,
+          horizon: 5,
+          seed: 1,
+        }),
+      /at least three bars/
+    );
+    assert.throws(() => simulatePaths([], { method: "gbm", paths: 1, horizon: 5, seed: 1 }), /starting price/);
+    assert.throws(
+      () => simulatePaths(base, { method: "gbm", paths: 1000, horizon: 251, seed: 1 }),
+      /Too many/
+    );
+    assert.throws(
+      () => simulatePaths(base, { method: "gbm", paths: 1, horizon: 5, seed: 1.5 }),
+      /Seed/
+    );
+  });
+});
+
+describe("fanChart", () => {
+  it("interpolates percentiles", () => {
+    assert.equal(percentile([1, 2, 3, 4, 5], 50), 3);
+    assert.equal(percentile([0, 10], 25), 2.5);
+  });
+
+  it("orders the bands and reports the outcome odds", () => {
+    const sim = simulatePaths(history([100, 101, 99, 102, 98, 103]), {
+      method: "gbm",
+      paths: 400,
+      horizon: 60,
+      interval: "D",
+      seed: 11,
+      drift: 0,
+      volatility: 0.4,
+    });
+    const fan = fanChart(sim, 3, 100, {}, 0.2);
+    assert.equal(fan.bands.length, 61);
+    assert.equal(fan.bands[0].p5, 100);
+    assert.equal(fan.bands[0].p95, 100);
+    const end = fan.bands[60];
+    assert.ok(end.p5 < end.p25 && end.p25 < end.p50 && end.p50 < end.p75 && end.p75 < end.p95);
+    // 3x of a driftless 40% vol walk loses more often than not, and deep
+    // drawdowns are common
+    assert.ok(fan.probBelowStart > 0.5 && fan.probBelowStart < 1);
+    assert.ok(fan.probDrawdown > 0.3);
+    assert.deepEqual(fanChart(sim, 3, 100, {}, 0.2), fan);
+  });
+
+  it("counts liquidated paths", () => {
+    const sim = simulatePaths(history([100, 70, 100, 70]), {
+      method: "bootstrap",
+      paths: 50,
+      horizon: 20,
+      interval: "D",
+      seed: 5,
+    });
+    // a 30% drop wipes out 4x; with 20 draws nearly every path sees one
+    const fan = fanChart(sim, 4, 100, {}, 0.5);
+    assert.ok(fan.probLiquidated > 0.9);
+    assert.equal(fan.probDrawdown >= fan.probLiquidated, true);
+  });
+});
@@ -0,0 +1,985 @@
+// src/syntheticEngine.js
+// Headless math behind the synthetic leverage chart: leverage parsing, the
+// synthetic series builder, drawdown and statistics, time stepping, and the
+// scales + ticks the chart draws. No React or DOM here, so backtests,
+// notebooks and the unit tests can import it directly.
+
+// -----------------------------------------
+// Leverage ids
+// -----------------------------------------
+export function isSynthetic(value) {
+  return typeof value === "string" && value.indexOf("SYNTHETIC:") === 0;
+}
+
+// Largest |leverage| accepted from users, URLs and saved state
+export const MAX_LEVERAGE = 50;
+
+// "SYNTHETIC:+3" -> 3, "SYNTHETIC:-1.5" -> -1.5, "SYNTHETIC:0.5" -> 0.5;
+// null when not a leverage id or the number is malformed
+export function parseLeverage(value) {
+  if (!isSynthetic(value)) return null;
+  var m = /^SYNTHETIC:\s*([+-]?)\s*(\d+(?:\.\d*)?|\.\d+)\s*$/.exec(value);
+  if (!m) return null;
+  var n = Number(m[2]);
+  if (!isFinite(n)) return null;
+  return m[1] === "-" ? -n : n;
+}
+
+// Non-zero, finite and within ±MAX_LEVERAGE
+export function isValidLeverage(n) {
+  return typeof n === "number" && isFinite(n) && n !== 0 && Math.abs(n) <= MAX_LEVERAGE;
+}
+
+// Canonical id for a leverage, rounded to 4 decimals: 1.5 -> "SYNTHETIC:+1.5".
+// null for anything isValidLeverage rejects.
+export function leverageId(n) {
+  if (!isValidLeverage(n)) return null;
+  var rounded = Math.round(Math.abs(n) * 10000) / 10000;
+  if (rounded === 0) return null;
+  return "SYNTHETIC:" + (n > 0 ? "+" : "-") + String(rounded);
+}
+
+// -----------------------------------------
+// Synthetic series + statistics
+// -----------------------------------------
+export const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Rebalance schedules understood by buildSyntheticSeries
+export const REBALANCE_MODES = ["bar", "daily", "weekly", "monthly", "drift"];
+
+// Annualized drag (as a fraction) of a leveraged product's running costs,
+// per unit of NAV. The expense ratio applies to NAV. Financing (`borrowRate`):
+//   leverage >= 1 - the (leverage - 1) borrowed on top of NAV is charged;
+//   0..1 - the uninvested (1 - leverage) share sits in cash and is credited;
+//   inverse - the short is an unfunded swap, so it raises no cash: NAV itself
+//     sits in cash and earns the rate once (a credit of 1x, whatever the
+//     leverage), and nothing is earned on the short notional.
+// The swap spread is charged on the swap notional: (leverage - 1) for long
+// leverage, the full |leverage| short for inverse.
+export function annualCostRate(leverage, costs) {
+  if (!costs) return 0;
+  var er = costs.expenseRatio || 0;
+  var fin = costs.borrowRate || 0;
+  var spread = costs.swapSpread || 0;
+  var borrowed = leverage >= 0 ? leverage - 1 : -1;
+  var swapNotional = leverage > 1 ? leverage - 1 : leverage < 0 ? -leverage : 0;
+  return er + borrowed * fin + swapNotional * spread;
+}
+
+// Key of the rebalance period a bar falls in; a change of key between two
+// bars means the previous bar was the last one (the close) of its period.
+export function rebalancePeriodKey(ts, mode) {
+  if (mode === "daily") return alignToInterval(ts, "D");
+  if (mode === "weekly") return alignToInterval(ts, "W");
+  if (mode === "monthly") return alignToInterval(ts, "M");
+  return ts;
+}
+
+export function finiteOr(x, fallback) {
+  return typeof x === "number" && isFinite(x) ? x : fallback;
+}
+
+// Synthetic price for an underlying print `px`, levered off the previous close
+function leverBar(nav, exposure, prev, px, cost) {
+  return nav + exposure * (prev ? (px - prev) / prev : 0) - cost;
+}
+
+// Liquidation check for one bar, given the equity and exposure going into
+// it: the worst of the bar's open/high/low/close decides. Returns the
+// `liquidation` record (see buildSyntheticSeries) or null.
+function checkLiquidation(nav, exposure, prev, bar, cost, margin, leverage) {
+  if (!(nav > 0)) return null;
+  var curr = bar.value;
+  var prices = [
+    finiteOr(bar.open, curr),
+    finiteOr(bar.high, curr),
+    finiteOr(bar.low, curr),
+    curr,
+  ];
+  var worst = null;
+  for (var k = 0; k < prices.length; k++) {
+    var equity = leverBar(nav, exposure, prev, prices[k], cost);
+    var cushion = equity - margin * Math.abs((exposure * prices[k]) / prev);
+    if (worst === null || cushion < worst.cushion) {
+      worst = { cushion: cushion, equity: equity, px: prices[k] };
+    }
+  }
+  if (worst.cushion > 0) return null;
+  return {
+    reason: worst.equity <= 0 ? "total-loss" : "margin",
+    move: worst.px / prev - 1,
+    leverage: leverage,
+  };
+}
+
+/**
+ * Builds the synthetic leveraged path from base `baseStart`.
+ *
+ * opts (optional):
+ *   expenseRatio, borrowRate, swapSpread - annual fractions (0.0091 = 0.91%/yr),
+ *     prorated by the real time elapsed between bars, so overnight and
+ *     weekend gaps are charged correctly.
+ *   rebalance - "bar" (default), "daily", "weekly", "monthly" or "drift".
+ *   driftThreshold - for "drift": relative deviation from the target
+ *     leverage (0.1 = 10%, so 3x resets outside 2.7x-3.3x and 0.5x outside
+ *     0.45x-0.55x) that triggers a rebalance.
+ *   maintenanceMargin - fraction of the position (0.25 = 25%) the equity
+ *     must keep; falling to it liquidates early. 0 (default) liquidates only
+ *     on a total loss.
+ *
+ * Liquidation: a bar whose open, high, low or close takes the equity to zero
+ * (1 + leverage * r <= 0) or to the maintenance margin closes the position.
+ * Like a knock-out product it is worth nothing afterwards: that bar and every
+ * later one are pinned at 0 and flagged `liquidated`, and the first one also
+ * carries `liquidation: { reason: "total-loss" | "margin", move, leverage }`
+ * with the underlying move from the previous close that triggered it (see
+ * findLiquidation).
+ *
+ * Between rebalances the market exposure drifts with the underlying, so the
+ * effective leverage wanders away from the target until the next reset.
+ *
+ * Every output point also carries synthetic open/high/low/close, each levered
+ * off the previous synthetic close (inverse leverage turns the underlying low
+ * into the synthetic high). Inputs without OHLC fall back to `value`.
+ *
+ * `prefix` (optional) is an earlier output for the same first bars of `spx`
+ * with the same settings; building resumes after it instead of starting
+ * over, which keeps live updates cheap. Points keep their post-bar
+ * `exposure` for that purpose.
+ */
+export function buildSyntheticSeries(spx, leverage, baseStart, opts, prefix) {
+  if (!spx || spx.length === 0) return [];
+  if (typeof baseStart !== "number") baseStart = 100;
+  var mode =
+    opts && REBALANCE_MODES.indexOf(opts.rebalance) !== -1
+      ? opts.rebalance
+      : "bar";
+  var threshold =
+    opts && opts.driftThreshold >= 0 ? opts.driftThreshold : 0.1;
+  var margin =
+    opts && opts.maintenanceMargin > 0 ? Math.min(opts.maintenanceMargin, 0.99) : 0;
+  var out = prefix && prefix.length ? prefix.slice(0, spx.length) : [];
+  var nav = out.length ? out[out.length - 1].value : baseStart;
+  var exposure = out.length ? out[out.length - 1].exposure : leverage * nav;
+  var liquidated = out.length ? !!out[out.length - 1].liquidated : false;
+  for (var i = out.length; i < spx.length; i++) {
+    if (i === 0) {
+      out.push({
+        time: spx[i].time,
+        value: nav,
+        open: nav,
+        high: nav,
+        low: nav,
+        close: nav,
+        exposure: exposure,
+      });
+      continue;
+    }
+
+    var effective = nav ? exposure / nav : leverage;
+    var due;
+    if (mode === "bar") {
+      due = true;
+    } else if (mode === "drift") {
+      due = Math.abs(effective - leverage) > threshold * Math.abs(leverage);
+    } else {
+      due =
+        rebalancePeriodKey(spx[i].time, mode) !==
+        rebalancePeriodKey(spx[i - 1].time, mode);
+    }
+    if (due) {
+      exposure = leverage * nav;
+      effective = leverage;
+    }
+
+    var prev = spx[i - 1].value;
+    var curr = spx[i].value;
+    var r = prev ? (curr - prev) / prev : 0;
+    var dtYears = Math.max(0, spx[i].time - spx[i - 1].time) / YEAR_MS;
+    var cost = nav * annualCostRate(effective, opts) * dtYears;
+    var o = leverBar(nav, exposure, prev, finiteOr(spx[i].open, curr), cost);
+    var hA = leverBar(nav, exposure, prev, finiteOr(spx[i].high, curr), cost);
+    var lA = leverBar(nav, exposure, prev, finiteOr(spx[i].low, curr), cost);
+    var liquidation =
+      liquidated || !prev
+        ? null
+        : checkLiquidation(nav, exposure, prev, spx[i], cost, margin, effective);
+    nav = nav + exposure * r - cost;
+    exposure = exposure * (1 + r);
+    if (liquidation || liquidated) {
+      var dead = {
+        time: spx[i].time,
+        value: 0,
+        open: Math.max(0, liquidation ? o : 0),
+        high: Math.max(0, liquidation ? Math.max(o, hA, lA) : 0),
+        low: 0,
+        close: 0,
+        exposure: 0,
+        liquidated: true,
+      };
+      if (liquidation) dead.liquidation = liquidation;
+      out.push(dead);
+      liquidated = true;
+      nav = 0;
+      exposure = 0;
+      continue;
+    }
+    out.push({
+      time: spx[i].time,
+      value: nav,
+      open: o,
+      high: Math.max(o, hA, lA, nav),
+      low: Math.min(o, hA, lA, nav),
+      close: nav,
+      exposure: exposure,
+    });
+  }
+  return out;
+}
+
+// First liquidation in a synthetic series: { index, time, reason, move,
+// leverage }, or null if the position survives
+export function findLiquidation(series) {
+  for (var i = 0; i < series.length; i++) {
+    if (series[i].liquidation) {
+      return Object.assign({ index: i, time: series[i].time }, series[i].liquidation);
+    }
+  }
+  return null;
+}
+
+// Number of leading bars two inputs share by identity (see mergeSeries)
+export function sharedPrefixLength(a, b) {
+  if (!a || !b) return 0;
+  var n = Math.min(a.length, b.length);
+  var i = 0;
+  while (i < n && a[i] === b[i]) i++;
+  return i;
+}
+
+/**
+ * Running peak-to-trough drawdown of a series, in percent (0 at new highs).
+ * Returns { points: [{ time, value }], max, recoveryTime } where `max` is the
+ * deepest point { time, value, peakTime, peak } (null if never below a peak)
+ * and `recoveryTime` the first time the series regained that peak, if ever.
+ */
+export function buildDrawdown(series) {
+  var points = [];
+  var max = null;
+  var peak = -Infinity;
+  var peakTime = null;
+  for (var i = 0; i < series.length; i++) {
+    var p = series[i];
+    if (p.value > peak) {
+      peak = p.value;
+      peakTime = p.time;
+    }
+    var dd = peak > 0 ? (p.value / peak - 1) * 100 : 0;
+    points.push({ time: p.time, value: dd });
+    if (dd < 0 && (!max || dd < max.value)) {
+      max = { time: p.time, value: dd, peakTime: peakTime, peak: peak };
+    }
+  }
+  var recoveryTime = null;
+  if (max) {
+    for (var j = 0; j < series.length; j++) {
+      if (series[j].time > max.time && series[j].value >= max.peak) {
+        recoveryTime = series[j].time;
+        break;
+      }
+    }
+  }
+  return { points: points, max: max, recoveryTime: recoveryTime };
+}
+
+// Bars per year used to annualize per-bar statistics. Intraday counts assume
+// a 6.5h US session (Yahoo's 60m bars come as 7 per day).
+export const BARS_PER_YEAR = {
+  "1": 252 * 390,
+  "5": 252 * 78,
+  "15": 252 * 26,
+  "60": 252 * 7,
+  D: 252,
+  W: 52,
+  M: 12,
+};
+
+// Simple per-bar returns of a series, stamped with the later bar's time
+export function barReturns(series) {
+  var out = [];
+  for (var i = 1; i < series.length; i++) {
+    var prev = series[i - 1].value;
+    out.push({
+      time: series[i].time,
+      value: prev ? series[i].value / prev - 1 : 0,
+    });
+  }
+  return out;
+}
+
+/**
+ * Performance statistics of `synth` over [x0, x1], with the underlying `spx`
+ * for the volatility-decay comparison. `riskFree` is an annual fraction.
+ * Returns null when fewer than two bars are visible.
+ */
+export function computeStats(synth, spx, leverage, interval, riskFree, x0, x1) {
+  var inRange = function (p) {
+    return p.time >= x0 && p.time <= x1;
+  };
+  var s = synth.filter(inRange);
+  var u = spx.filter(inRange);
+  if (s.length < 2 || u.length < 2) return null;
+
+  var perYear = BARS_PER_YEAR[interval] || 252;
+  var rets = barReturns(s);
+  var n = rets.length;
+  var mean = 0;
+  rets.forEach(function (r) {
+    mean += r.value / n;
+  });
+  var variance = 0;
+  var downside = 0;
+  var rfBar = riskFree / perYear;
+  rets.forEach(function (r) {
+    variance += Math.pow(r.value - mean, 2) / Math.max(1, n - 1);
+    if (r.value < rfBar) downside += Math.pow(r.value - rfBar, 2) / n;
+  });
+  var sd = Math.sqrt(variance);
+  var dsd = Math.sqrt(downside);
+
+  var best = rets[0];
+  var worst = rets[0];
+  rets.forEach(function (r) {
+    if (r.value > best.value) best = r;
+    if (r.value < worst.value) worst = r;
+  });
+
+  var first = s[0].value;
+  var lastValue = s[s.length - 1].value;
+  var totalReturn = first ? lastValue / first - 1 : 0;
+  var years = (s[s.length - 1].time - s[0].time) / YEAR_MS;
+  var cagr =
+    years > 0 && first > 0 && lastValue > 0
+      ? Math.pow(lastValue / first, 1 / years) - 1
+      : null;
+
+  var spxReturn = u[0].value ? u[u.length - 1].value / u[0].value - 1 : 0;
+  var dd = buildDrawdown(s);
+
+  return {
+    bars: n,
+    totalReturn: totalReturn,
+    cagr: cagr,
+    volatility: sd * Math.sqrt(perYear),
+    sharpe: sd > 0 ? ((mean - rfBar) / sd) * Math.sqrt(perYear) : null,
+    sortino: dsd > 0 ? ((mean - rfBar) / dsd) * Math.sqrt(perYear) : null,
+    maxDrawdown: dd.max,
+    recoveryTime: dd.recoveryTime,
+    best: best,
+    worst: worst,
+    spxReturn: spxReturn,
+    decayGap: totalReturn - leverage * spxReturn,
+  };
+}
+
+/**
+ * Change between bars i and j (either order) of `synth`, with the matching
+ * bars of the underlying `spx` (same indices, as built by
+ * buildSyntheticSeries). Returns { from, to, elapsedMs, bars, change, pct,
+ * spxPct, annualized }; percentages are fractions, and annualized is null
+ * when it is undefined (no time elapsed, or a non-positive endpoint).
+ */
+export function measureRange(synth, spx, i, j) {
+  var a = Math.min(i, j);
+  var b = Math.max(i, j);
+  var from = synth[a];
+  var to = synth[b];
+  if (!from || !to) return null;
+  var elapsedMs = to.time - from.time;
+  var ratio = from.value ? to.value / from.value : NaN;
+  var u0 = spx && spx[a];
+  var u1 = spx && spx[b];
+  return {
+    from: from,
+    to: to,
+    elapsedMs: elapsedMs,
+    bars: b - a,
+    change: to.value - from.value,
+    pct: isFinite(ratio) ? ratio - 1 : null,
+    spxPct: u0 && u1 && u0.value ? u1.value / u0.value - 1 : null,
+    annualized:
+      elapsedMs > 0 && from.value > 0 && to.value > 0
+        ? Math.pow(ratio, YEAR_MS / elapsedMs) - 1
+        : null,
+  };
+}
+
+// Point of `data` at exactly `ts`; `hint` is the index to try first (series
+// built from the same input share indices with the primary series).
+export function pointAt(data, ts, hint) {
+  if (!data || !data.length) return null;
+  if (typeof hint === "number" && data[hint] && data[hint].time === ts) {
+    return data[hint];
+  }
+  var i = lowerBound(data, ts);
+  return data[i] && data[i].time === ts ? data[i] : null;
+}
+
+// `source` resampled onto `target`'s timestamps: each target bar takes the
+// last source bar at or before it. Target bars before the first source bar
+// are left out, so a product launched mid-range starts where it starts.
+export function alignAsOf(target, source) {
+  var out = [];
+  if (!target || !source || !source.length) return out;
+  var j = -1;
+  for (var i = 0; i < target.length; i++) {
+    var t = target[i].time;
+    while (j + 1 < source.length && source[j + 1].time <= t) j++;
+    if (j === -1) continue;
+    out.push(Object.assign({}, source[j], { time: t }));
+  }
+  return out;
+}
+
+/**
+ * How well `actual` (e.g. a real leveraged ETF) tracks `model` (the matching
+ * synthetic) over [x0, x1], on the bars both have. Pass the product's own
+ * prints, not a forward-filled copy: a filled gap reads as a flat bar
+ * followed by a jump. Returns null with fewer
+ * than three shared bars, else:
+ *   trackingError - annualized std. dev. of the per-bar return difference
+ *   trackingDifference - cumulative actual return minus model return
+ *   correlation - of per-bar returns (null if either is flat)
+ *   modelReturn, actualReturn, bars
+ */
+export function trackingStats(model, actual, interval, x0, x1) {
+  var pairs = [];
+  for (var i = 0; i < actual.length; i++) {
+    var a = actual[i];
+    if (a.time < x0 || a.time > x1) continue;
+    var m = pointAt(model, a.time);
+    if (m) pairs.push({ m: m.value, a: a.value });
+  }
+  if (pairs.length < 3) return null;
+
+  var rm = [];
+  var ra = [];
+  for (var k = 1; k < pairs.length; k++) {
+    rm.push(pairs[k - 1].m ? pairs[k].m / pairs[k - 1].m - 1 : 0);
+    ra.push(pairs[k - 1].a ? pairs[k].a / pairs[k - 1].a - 1 : 0);
+  }
+  var n = rm.length;
+  var mean = function (xs) {
+    return xs.reduce(function (acc, x) { return acc + x; }, 0) / xs.length;
+  };
+  var meanM = mean(rm);
+  var meanA = mean(ra);
+  var diffs = ra.map(function (x, j) { return x - rm[j]; });
+  var meanD = mean(diffs);
+  var varD = 0;
+  var varM = 0;
+  var varA = 0;
+  var cov = 0;
+  for (var j = 0; j < n; j++) {
+    varD += Math.pow(diffs[j] - meanD, 2);
+    varM += Math.pow(rm[j] - meanM, 2);
+    varA += Math.pow(ra[j] - meanA, 2);
+    cov += (rm[j] - meanM) * (ra[j] - meanA);
+  }
+  var perYear = BARS_PER_YEAR[interval] || 252;
+  var first = pairs[0];
+  var last = pairs[pairs.length - 1];
+  var modelReturn = first.m ? last.m / first.m - 1 : 0;
+  var actualReturn = first.a ? last.a / first.a - 1 : 0;
+  return {
+    bars: n,
+    trackingError: Math.sqrt(varD / Math.max(1, n - 1)) * Math.sqrt(perYear),
+    trackingDifference: actualReturn - modelReturn,
+    correlation: varM > 0 && varA > 0 ? cov / Math.sqrt(varM * varA) : null,
+    modelReturn: modelReturn,
+    actualReturn: actualReturn,
+  };
+}
+
+// Underlying rescaled so its first point equals baseStart
+export function rebaseSeries(spx, baseStart) {
+  if (!spx || spx.length === 0) return [];
+  var k = baseStart / (spx[0].value || 1);
+  return spx.map(function (p) {
+    return {
+      time: p.time,
+      value: p.value * k,
+      open: finiteOr(p.open, p.value) * k,
+      high: finiteOr(p.high, p.value) * k,
+      low: finiteOr(p.low, p.value) * k,
+      close: p.value * k,
+    };
+  });
+}
+
+// -----------------------------------------
+// Time axis + lookup utilities
+// -----------------------------------------
+export function intervalToStepMs(interval) {
+  switch (interval) {
+    case "1":
+      return 60 * 1000;
+    case "5":
+      return 5 * 60 * 1000;
+    case "15":
+      return 15 * 60 * 1000;
+    case "60":
+      return 60 * 60 * 1000;
+    case "D":
+      return 24 * 60 * 60 * 1000;
+    case "W":
+      return 7 * 24 * 60 * 60 * 1000;
+    case "M":
+      return null;
+    default:
+      return 24 * 60 * 60 * 1000;
+  }
+}
+
+export function alignToInterval(ts, interval) {
+  var d = new Date(ts);
+  if (interval === "M") {
+    d.setUTCDate(1);
+    d.setUTCHours(0, 0, 0, 0);
+    return d.getTime();
+  }
+  if (interval === "W") {
+    var day = d.getUTCDay();
+    var diff = (day + 6) % 7;
+    d.setUTCDate(d.getUTCDate() - diff);
+    d.setUTCHours(0, 0, 0, 0);
+    return d.getTime();
+  }
+  if (interval === "D") {
+    d.setUTCHours(0, 0, 0, 0);
+    return d.getTime();
+  }
+  if (interval === "60") {
+    d.setUTCMinutes(0, 0, 0);
+    return d.getTime();
+  }
+  if (interval === "15") {
+    d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 15) * 15, 0, 0);
+    return d.getTime();
+  }
+  if (interval === "5") {
+    d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 5) * 5, 0, 0);
+    return d.getTime();
+  }
+  if (interval === "1") {
+    d.setUTCSeconds(0, 0);
+    return d.getTime();
+  }
+  return d.getTime();
+}
+
+// Month steps keep the day of month where it exists and otherwise clamp to
+// the month's last day (Jan 31 -> Feb 29 -> Mar 29), never spilling over.
+export function addInterval(ts, interval) {
+  if (interval === "M") {
+    var d = new Date(ts);
+    var day = d.getUTCDate();
+    d.setUTCDate(1);
+    d.setUTCMonth(d.getUTCMonth() + 1);
+    var lastDay = new Date(
+      Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    d.setUTCDate(Math.min(day, lastDay));
+    return d.getTime();
+  }
+  var step = intervalToStepMs(interval);
+  if (!step) step = 24 * 60 * 60 * 1000;
+  return ts + step;
+}
+
+export function tickLabel(ts, interval) {
+  var d = new Date(ts);
+  if (interval === "1" || interval === "5" || interval === "15" || interval === "60") {
+    return d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+  }
+  if (interval === "D" || interval === "W") {
+    return d.toLocaleDateString(undefined, { month: "short", day: "2-digit" });
+  }
+  return d.toLocaleDateString(undefined, { month: "short", year: "2-digit" });
+}
+
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+// First index of time-sorted `data` with time >= ts (data.length if none)
+export function lowerBound(data, ts) {
+  var lo = 0;
+  var hi = data.length;
+  while (lo < hi) {
+    var mid = (lo + hi) >> 1;
+    if (data[mid].time < ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Index of the point in data[lo, hi) closest in time to ts, or -1
+export function nearestIndex(data, ts, lo, hi) {
+  if (lo === undefined) lo = 0;
+  if (hi === undefined) hi = data.length;
+  if (hi <= lo) return -1;
+  var i = clamp(lowerBound(data, ts), lo, hi - 1);
+  if (i > lo && Math.abs(data[i - 1].time - ts) <= Math.abs(data[i].time - ts)) {
+    return i - 1;
+  }
+  return i;
+}
+
+// Largest-Triangle-Three-Buckets downsampling: keeps `threshold` points
+// (first and last included) that preserve the visual shape of the line.
+export function lttb(data, threshold) {
+  var n = data.length;
+  if (threshold >= n || threshold < 3) return data;
+  var out = [data[0]];
+  var every = (n - 2) / (threshold - 2);
+  var a = 0;
+  for (var i = 0; i < threshold - 2; i++) {
+    // average of the next bucket is the third triangle corner
+    var nextStart = Math.floor((i + 1) * every) + 1;
+    var nextEnd = Math.min(n, Math.floor((i + 2) * every) + 1);
+    var avgX = 0;
+    var avgY = 0;
+    for (var j = nextStart; j < nextEnd; j++) {
+      avgX += data[j].time;
+      avgY += data[j].value;
+    }
+    var count = Math.max(1, nextEnd - nextStart);
+    avgX /= count;
+    avgY /= count;
+
+    var start = Math.floor(i * every) + 1;
+    var end = Math.floor((i + 1) * every) + 1;
+    var ax = data[a].time;
+    var ay = data[a].value;
+    var maxArea = -1;
+    var pick = start;
+    for (var k = start; k < end; k++) {
+      var area = Math.abs(
+        (ax - avgX) * (data[k].value - ay) - (ax - data[k].time) * (avgY - ay)
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        pick = k;
+      }
+    }
+    out.push(data[pick]);
+    a = pick;
+  }
+  out.push(data[n - 1]);
+  return out;
+}
+
+// Merges consecutive OHLC bars into at most `maxBars` buckets (first open,
+// highest high, lowest low, last close) so candles stay wider than a pixel.
+export function bucketBars(data, maxBars) {
+  if (data.length <= maxBars) return data;
+  var size = Math.ceil(data.length / Math.max(1, maxBars));
+  var out = [];
+  for (var i = 0; i < data.length; i += size) {
+    var first = data[i];
+    var lastBar = data[Math.min(data.length, i + size) - 1];
+    var hi = -Infinity;
+    var lo = Infinity;
+    for (var j = i; j < i + size && j < data.length; j++) {
+      hi = Math.max(hi, finiteOr(data[j].high, data[j].value));
+      lo = Math.min(lo, finiteOr(data[j].low, data[j].value));
+    }
+    out.push({
+      time: first.time,
+      value: lastBar.value,
+      open: finiteOr(first.open, first.value),
+      high: hi,
+      low: lo,
+      close: lastBar.value,
+    });
+  }
+  return out;
+}
+
+// -----------------------------------------
+// Scales + ticks
+// -----------------------------------------
+
+// Value -> y-axis space for a y mode: natural log for "log", percent change
+// from `anchor` for "percent", identity otherwise.
+export function valueTransform(yMode, anchor) {
+  if (yMode === "log") {
+    return function (v) { return Math.log(v); };
+  }
+  if (yMode === "percent") {
+    var ref = Math.max(1e-9, anchor);
+    return function (v) { return (v / ref - 1) * 100; };
+  }
+  return function (v) { return v; };
+}
+
+// Inverse of valueTransform: y-axis space back to a value.
+export function invertValueTransform(yMode, anchor) {
+  if (yMode === "log") {
+    return function (tv) { return Math.exp(tv); };
+  }
+  if (yMode === "percent") {
+    var ref = Math.max(1e-9, anchor);
+    return function (tv) { return ref * (1 + tv / 100); };
+  }
+  return function (tv) { return tv; };
+}
+
+/**
+ * Time ticks on every interval boundary in [xMin, xMax], thinned so grid
+ * lines stay at least 6px apart, plus labels spaced at least 80px apart
+ * (first and last boundary labelled when there is room).
+ * Returns { ticks: [{ x, ts }], labels: [{ x, label }] }.
+ */
+export function buildTimeTicks(xMin, xMax, interval, xScale, plotWidth) {
+  var ticks = [];
+  var t = alignToInterval(xMin, interval);
+  var guard = 5000;
+  var count = 0;
+  while (t <= xMax && count < guard) {
+    ticks.push({ x: xScale(t), ts: t });
+    t = addInterval(t, interval);
+    count++;
+  }
+  var MIN_GRID_GAP = 6;
+  var stride = Math.ceil((ticks.length * MIN_GRID_GAP) / Math.max(1, plotWidth));
+  if (stride > 1) {
+    ticks = ticks.filter(function (tick, i) { return i % stride === 0; });
+  }
+  if (ticks.length < 2) {
+    ticks.push({ x: xScale(xMin), ts: xMin });
+    ticks.push({ x: xScale(xMax), ts: xMax });
+  }
+
+  var MIN_GAP = 80;
+  var labels = [];
+  var lastLabeledX = -Infinity;
+  ticks.forEach(function (tick) {
+    if (tick.x - lastLabeledX >= MIN_GAP) {
+      labels.push({ x: tick.x, label: tickLabel(tick.ts, interval) });
+      lastLabeledX = tick.x;
+    }
+  });
+  if (labels.length > 0) {
+    var first = labels[0];
+    var lastLabel = labels[labels.length - 1];
+    var wantsFirst = Math.abs(first.x - ticks[0].x) > MIN_GAP / 2;
+    var wantsLast = Math.abs(lastLabel.x - ticks[ticks.length - 1].x) > MIN_GAP / 2;
+    if (wantsFirst) labels.unshift({ x: ticks[0].x, label: tickLabel(ticks[0].ts, interval) });
+    if (wantsLast) labels.push({ x: ticks[ticks.length - 1].x, label: tickLabel(ticks[ticks.length - 1].ts, interval) });
+  }
+  return { ticks: ticks, labels: labels };
+}
+
+// `count` evenly spaced y ticks over the transformed range [tMin, tMax],
+// labelled back in value terms ("12.5%" in percent mode).
+export function buildValueTicks(tMin, tMax, count, toY, yMode) {
+  var ticks = [];
+  for (var j = 0; j < count; j++) {
+    var tv = tMin + ((tMax - tMin) / (count - 1)) * j;
+    var label;
+    if (yMode === "percent") {
+      label = tv.toFixed(1) + "%";
+    } else if (yMode === "log") {
+      label = Math.exp(tv).toFixed(2);
+    } else {
+      label = tv.toFixed(2);
+    }
+    ticks.push({ y: toY(tv), label: label });
+  }
+  return ticks;
+}
+
+/**
+ * Scales, paths and ticks for one chart pane. `series` is a list of
+ * { id, data } drawn on one shared y-domain; the first entry is the primary
+ * series and drives the x range. In percent mode every series is measured
+ * from its own left edge; log mode falls back to linear if any visible value
+ * is <= 0, except liquidated bars, which sit on the bottom edge. For
+ * chartStyle "candle"/"bar" the primary's highs/lows are fitted too and
+ * `bars` holds its OHLC in pixel space. Scales use every visible
+ * point, but the drawn `points`/`path` and `bars` are downsampled to the
+ * pixel width. `yInvert` maps a pixel y back to a primary-series value.
+ *
+ * opts: { width, height, padLeft, rightMargin, interval, domain: { x0, x1 },
+ *   yMode, chartStyle }
+ */
+export function buildChartScales(series, opts) {
+  var width = opts.width;
+  var height = opts.height;
+  var padLeft = opts.padLeft;
+  var rightMargin = opts.rightMargin;
+  var interval = opts.interval;
+  var domain = opts.domain;
+  var yMode = opts.yMode;
+  var chartStyle = opts.chartStyle;
+
+  var data = series && series.length ? series[0].data : [];
+  if (!data || data.length === 0) {
+    return {
+      path: "",
+      series: [],
+      bars: [],
+      xTicks: [],
+      xLabels: [],
+      yTicks: [],
+      xScale: function (t) { return t; },
+      yScale: function (v) { return v; },
+      yInvert: function (y) { return y; },
+      last: null,
+      anchor: 0,
+    };
+  }
+
+  var dataXMin = data[0].time;
+  var dataXMax = data[data.length - 1].time;
+  var xMin = Math.max(domain.x0, dataXMin);
+  var xMax = Math.min(domain.x1, dataXMax);
+
+  var slices = series.map(function (s) {
+    var slice = s.data.slice(lowerBound(s.data, xMin), lowerBound(s.data, xMax + 1));
+    if (!slice.length) slice = s.data.slice();
+    return slice;
+  });
+  // at most two line vertices per pixel column reach the renderer
+  var plotWidth = width - padLeft - rightMargin;
+  var maxPoints = Math.max(3, Math.round(plotWidth * 2));
+
+  var useOhlc = chartStyle === "candle" || chartStyle === "bar";
+  var useLog =
+    yMode === "log" &&
+    slices.every(function (slice, k) {
+      return slice.every(function (s) {
+        var lowest = useOhlc && k === 0 ? Math.min(s.value, finiteOr(s.low, s.value)) : s.value;
+        return s.liquidated || lowest > 0;
+      });
+    });
+  var mode = useLog ? "log" : yMode === "percent" ? "percent" : "linear";
+
+  var entries = series.map(function (s, k) {
+    var slice = slices[k];
+    var anchor = slice.length ? slice[0].value : 1;
+    return {
+      id: s.id,
+      slice: slice,
+      anchor: anchor,
+      tf: valueTransform(mode, anchor),
+      inv: invertValueTransform(mode, anchor),
+    };
+  });
+
+  var tMin = Infinity;
+  var tMax = -Infinity;
+  entries.forEach(function (e, k) {
+    for (var i = 0; i < e.slice.length; i++) {
+      var p = e.slice[i];
+      var lo = e.tf(useOhlc && k === 0 ? finiteOr(p.low, p.value) : p.value);
+      var hi = e.tf(useOhlc && k === 0 ? finiteOr(p.high, p.value) : p.value);
+      if (isFinite(lo) && lo < tMin) tMin = lo;
+      if (isFinite(hi) && hi > tMax) tMax = hi;
+    }
+  });
+  if (!(isFinite(tMin) && isFinite(tMax))) {
+    tMin = 0;
+    tMax = 1;
+  }
+  if (tMin === tMax) {
+    tMin -= 1;
+    tMax += 1;
+  }
+  var padTopBottom = (tMax - tMin) * 0.1;
+  tMin -= padTopBottom;
+  tMax += padTopBottom;
+
+  var xScale = function (t) {
+    return padLeft + ((t - xMin) / Math.max(1, xMax - xMin)) * plotWidth;
+  };
+  var toY = function (tv) {
+    // log(0) of a liquidated bar: pin to the bottom edge
+    if (!isFinite(tv)) tv = tv > 0 ? tMax : tMin;
+    return (
+      height -
+      padLeft -
+      ((tv - tMin) / Math.max(1e-9, tMax - tMin)) * (height - 2 * padLeft)
+    );
+  };
+  var fromY = function (y) {
+    return tMin + ((height - padLeft - y) / Math.max(1, height - 2 * padLeft)) * (tMax - tMin);
+  };
+
+  var outSeries = entries.map(function (e) {
+    var yScale = function (v) { return toY(e.tf(v)); };
+    var yInvert = function (y) { return e.inv(fromY(y)); };
+    var shown = lttb(e.slice, maxPoints);
+    var points = new Array(shown.length);
+    var dPath = "";
+    for (var i = 0; i < shown.length; i++) {
+      var x = xScale(shown[i].time);
+      var y = yScale(shown[i].value);
+      points[i] = { x: x, y: y };
+      dPath += i === 0 ? "M " + x + " " + y : " L " + x + " " + y;
+    }
+    return {
+      id: e.id,
+      path: dPath,
+      points: points,
+      yScale: yScale,
+      yInvert: yInvert,
+      last: e.slice.length ? e.slice[e.slice.length - 1] : null,
+      anchor: e.anchor,
+    };
+  });
+
+  var time = buildTimeTicks(xMin, xMax, interval, xScale, plotWidth);
+  // roughly one label per 90px of plot height
+  var tickCount = clamp(Math.round((height - 2 * padLeft) / 90), 3, 8);
+  var yTicks = buildValueTicks(tMin, tMax, tickCount, toY, mode);
+
+  var primary = outSeries[0];
+
+  var bars = [];
+  if (useOhlc) {
+    // one bar per 3px at most; denser data is merged into wider bars
+    var pSlice = bucketBars(entries[0].slice, Math.max(1, Math.floor(plotWidth / 3)));
+    var barW = Math.max(1, (plotWidth / Math.max(1, pSlice.length)) * 0.7);
+    for (var b = 0; b < pSlice.length; b++) {
+      var bp = pSlice[b];
+      var bo = finiteOr(bp.open, bp.value);
+      bars.push({
+        time: bp.time,
+        x: xScale(bp.time),
+        w: barW,
+        open: primary.yScale(bo),
+        high: primary.yScale(finiteOr(bp.high, bp.value)),
+        low: primary.yScale(finiteOr(bp.low, bp.value)),
+        close: primary.yScale(bp.value),
+        up: bp.value >= bo,
+      });
+    }
+  }
+
+  return {
+    path: primary.path,
+    series: outSeries,
+    bars: bars,
+    xTicks: time.ticks,
+    xLabels: time.labels,
+    yTicks: yTicks,
+    xScale: xScale,
+    yScale: primary.yScale,
+    yInvert: primary.yInvert,
+    last: primary.last,
+    anchor: primary.anchor,
+  };
+}
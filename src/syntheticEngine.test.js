@@ -0,0 +1,578 @@
+// Unit tests for the headless chart engine. Run with `npm test`.
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  addInterval,
+  alignAsOf,
+  annualCostRate,
+  alignToInterval,
+  buildChartScales,
+  buildDrawdown,
+  buildSyntheticSeries,
+  buildTimeTicks,
+  computeStats,
+  findLiquidation,
+  isValidLeverage,
+  leverageId,
+  lttb,
+  MAX_LEVERAGE,
+  measureRange,
+  nearestIndex,
+  parseLeverage,
+  rebalancePeriodKey,
+  trackingStats,
+  valueTransform,
+  YEAR_MS,
+} from "./syntheticEngine.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function near(actual, expected, eps = 1e-9) {
+  assert.ok(
+    Math.abs(actual - expected) <= eps,
+    "expected " + expected + ", got " + actual
+  );
+}
+
+function series(values, start = Date.UTC(2024, 0, 2), step = DAY) {
+  return values.map((value, i) => ({ time: start + i * step, value }));
+}
+
+describe("parseLeverage", () => {
+  it("reads signed presets", () => {
+    assert.equal(parseLeverage("SYNTHETIC:+3"), 3);
+    assert.equal(parseLeverage("SYNTHETIC:-2"), -2);
+    assert.equal(parseLeverage("SYNTHETIC:1"), 1);
+  });
+
+  it("rejects non-leverage ids and empty or garbage values", () => {
+    assert.equal(parseLeverage("SPX"), null);
+    assert.equal(parseLeverage(undefined), null);
+    assert.equal(parseLeverage("SYNTHETIC:"), null);
+    assert.equal(parseLeverage("SYNTHETIC:abc"), null);
+    assert.equal(parseLeverage("SYNTHETIC:+-2"), null);
+    assert.equal(parseLeverage("SYNTHETIC:1.5x"), null);
+    assert.equal(parseLeverage("SYNTHETIC:1e3"), null);
+  });
+
+  it("reads fractional and large leverage", () => {
+    assert.equal(parseLeverage("SYNTHETIC:+1.5"), 1.5);
+    assert.equal(parseLeverage("SYNTHETIC:-0.25"), -0.25);
+    assert.equal(parseLeverage("SYNTHETIC:.5"), 0.5);
+    assert.equal(parseLeverage("SYNTHETIC: -12 "), -12);
+  });
+});
+
+describe("leverageId", () => {
+  it("round-trips through parseLeverage", () => {
+    for (const n of [1, -3, 1.25, -1.5, 0.5, 12, MAX_LEVERAGE]) {
+      assert.equal(parseLeverage(leverageId(n)), n);
+    }
+    assert.equal(leverageId(3), "SYNTHETIC:+3");
+    assert.equal(leverageId(1 / 3), "SYNTHETIC:+0.3333");
+  });
+
+  it("rejects zero, out-of-range and non-finite leverage", () => {
+    assert.equal(leverageId(0), null);
+    assert.equal(leverageId(0.00001), null);
+    assert.equal(leverageId(MAX_LEVERAGE + 1), null);
+    assert.equal(leverageId(NaN), null);
+    assert.equal(isValidLeverage(-MAX_LEVERAGE), true);
+  });
+});
+
+describe("buildSyntheticSeries", () => {
+  const spx = series([100, 110, 99, 99]);
+
+  it("starts at the base value", () => {
+    assert.equal(buildSyntheticSeries(spx, 3, 250)[0].value, 250);
+    assert.equal(buildSyntheticSeries(spx, 3)[0].value, 100);
+    assert.deepEqual(buildSyntheticSeries([], 3, 100), []);
+  });
+
+  it("tracks the underlying at 1x", () => {
+    const out = buildSyntheticSeries(spx, 1, 100);
+    out.forEach((p, i) => near(p.value, spx[i].value));
+  });
+
+  it("compounds daily-reset leverage, including inverse", () => {
+    const up2 = buildSyntheticSeries(spx, 2, 100);
+    near(up2[1].value, 120);
+    near(up2[2].value, 120 * (1 - 0.2));
+    const inv = buildSyntheticSeries(spx, -1, 100);
+    near(inv[1].value, 90);
+    near(inv[2].value, 90 * 1.1);
+  });
+
+  it("stays flat at 0x and scales linearly with large leverage", () => {
+    buildSyntheticSeries(spx, 0, 100).forEach((p) => near(p.value, 100));
+    near(buildSyntheticSeries(spx, 10, 100)[1].value, 200);
+  });
+
+  it("charges annual costs by elapsed time", () => {
+    const flat = [
+      { time: 0, value: 100 },
+      { time: 365.25 * DAY, value: 100 },
+    ];
+    const out = buildSyntheticSeries(flat, 1, 100, { expenseRatio: 0.01 });
+    near(out[1].value, 99);
+  });
+
+  it("charges financing and swap spread on the borrowed part at +3x", () => {
+    const costs = { expenseRatio: 0.01, borrowRate: 0.05, swapSpread: 0.004 };
+    near(annualCostRate(3, costs), 0.01 + 2 * 0.05 + 2 * 0.004);
+    near(annualCostRate(3, { borrowRate: 0.05 }), 0.1);
+    near(annualCostRate(1, costs), 0.01);
+    // half in cash earns half the rate, no swaps
+    near(annualCostRate(0.5, costs), 0.01 - 0.5 * 0.05);
+  });
+
+  it("credits inverse funds the rate on NAV once and charges the spread on the short", () => {
+    const costs = { expenseRatio: 0.01, borrowRate: 0.05, swapSpread: 0.004 };
+    near(annualCostRate(-1, costs), 0.01 - 0.05 + 0.004);
+    near(annualCostRate(-3, costs), 0.01 - 0.05 + 3 * 0.004);
+    near(annualCostRate(-1, { borrowRate: 0.05 }), -0.05);
+    assert.equal(annualCostRate(-1), 0);
+  });
+
+  it("applies costs to the synthetic at +3x and -1x", () => {
+    const flat = [
+      { time: 0, value: 100 },
+      { time: 365.25 * DAY, value: 100 },
+    ];
+    const costs = { borrowRate: 0.05, swapSpread: 0.01 };
+    near(buildSyntheticSeries(flat, 3, 100, costs)[1].value, 100 - 100 * (0.1 + 0.02));
+    near(buildSyntheticSeries(flat, -1, 100, costs)[1].value, 100 + 100 * (0.05 - 0.01));
+  });
+
+  it("lets exposure drift between scheduled rebalances", () => {
+    const daily = series([100, 110, 121], Date.UTC(2024, 0, 2, 15), HOUR);
+    const perBar = buildSyntheticSeries(daily, 2, 100);
+    const sameDay = buildSyntheticSeries(daily, 2, 100, { rebalance: "daily" });
+    near(perBar[2].value, 144);
+    // no reset inside the day: exposure 200 -> 220 carries the second 10%
+    near(sameDay[2].value, 120 + 220 * 0.1);
+  });
+
+  it("resets weekly on Mondays and monthly on the 1st", () => {
+    // Mon, Tue, Wed, then the next Monday
+    const week = [100, 110, 121, 133.1].map((value, i) => ({
+      time: Date.UTC(2024, 0, [1, 2, 3, 8][i]),
+      value,
+    }));
+    const weekly = buildSyntheticSeries(week, 2, 100, { rebalance: "weekly" });
+    near(weekly[2].value, 120 + 220 * 0.1);
+    near(weekly[3].value, 142 + 2 * 142 * 0.1);
+
+    // Jan 30, Jan 31, Feb 1, Feb 2
+    const month = series([100, 110, 121, 133.1], Date.UTC(2024, 0, 30));
+    const monthly = buildSyntheticSeries(month, 2, 100, { rebalance: "monthly" });
+    near(monthly[2].value, 144);
+    near(monthly[3].value, 144 + 264 * 0.1);
+  });
+
+  it("rebalances on drift only past the threshold", () => {
+    const up = series([100, 110, 121, 133.1]);
+    // effective leverage 220/120 = 1.83 stays inside 2 ± 0.2, 242/142 = 1.70 does not
+    const loose = buildSyntheticSeries(up, 2, 100, { rebalance: "drift" });
+    near(loose[2].value, 142);
+    near(loose[3].value, 142 + 2 * 142 * 0.1);
+    // a tighter band resets every bar here
+    const tight = buildSyntheticSeries(up, 2, 100, {
+      rebalance: "drift",
+      driftThreshold: 0.05,
+    });
+    near(tight[3].value, buildSyntheticSeries(up, 2, 100)[3].value);
+  });
+
+  it("scales the drift band with fractional leverage", () => {
+    const up = series([100, 110, 121, 133.1, 146.41]);
+    // 0.5x drifts to 0.524, 0.548, then 0.571, past 0.5 ± 0.05
+    const half = buildSyntheticSeries(up, 0.5, 100, { rebalance: "drift" });
+    near(half[3].value, 116.55);
+    near(half[4].value, 116.55 + 0.5 * 116.55 * 0.1);
+  });
+
+  it("levers the bar's open, high and low", () => {
+    const bars = [
+      { time: Date.UTC(2024, 0, 2), value: 100 },
+      { time: Date.UTC(2024, 0, 3), value: 102, open: 101, high: 105, low: 95, close: 102 },
+    ];
+    const up2 = buildSyntheticSeries(bars, 2, 100)[1];
+    near(up2.open, 102);
+    near(up2.high, 110);
+    near(up2.low, 90);
+    near(up2.close, 104);
+    // inverse: the underlying low makes the synthetic high
+    const inv = buildSyntheticSeries(bars, -1, 100)[1];
+    near(inv.open, 99);
+    near(inv.high, 105);
+    near(inv.low, 95);
+    near(inv.close, 98);
+    // close-only bars collapse to the close
+    const flat = buildSyntheticSeries(series([100, 110]), 2, 100)[1];
+    assert.deepEqual(
+      [flat.open, flat.high, flat.low].map((v) => Math.round(v * 1e9) / 1e9),
+      [120, 120, 120]
+    );
+  });
+
+  it("resumes from a prefix with the same result", () => {
+    const full = buildSyntheticSeries(spx, 3, 100);
+    const resumed = buildSyntheticSeries(spx, 3, 100, undefined, full.slice(0, 2));
+    assert.deepEqual(resumed, full);
+  });
+});
+
+describe("liquidation", () => {
+  it("pins the series at zero once a bar wipes out the position", () => {
+    // -25% at 4x: 1 + 4 * -0.25 = 0
+    const out = buildSyntheticSeries(series([100, 75, 90, 120]), 4, 100);
+    assert.deepEqual(
+      out.map((p) => p.value),
+      [100, 0, 0, 0]
+    );
+    assert.ok(out.slice(1).every((p) => p.liquidated && p.exposure === 0));
+    const liq = findLiquidation(out);
+    assert.equal(liq.index, 1);
+    assert.equal(liq.reason, "total-loss");
+    near(liq.move, -0.25);
+    assert.equal(liq.leverage, 4);
+  });
+
+  it("liquidates inverse positions on a rally", () => {
+    const out = buildSyntheticSeries(series([100, 135, 160]), -3, 100);
+    assert.equal(findLiquidation(out).index, 1);
+    assert.equal(out[2].value, 0);
+  });
+
+  it("uses the bar's intraday extreme", () => {
+    const bars = [
+      { time: 0, value: 100 },
+      { time: DAY, value: 99, open: 100, high: 101, low: 80 },
+    ];
+    const out = buildSyntheticSeries(bars, 5, 100);
+    assert.equal(out[1].value, 0);
+    near(findLiquidation(out).move, -0.2);
+    // the open was still above water
+    near(out[1].open, 100);
+  });
+
+  it("liquidates earlier with a maintenance margin", () => {
+    const spx = series([100, 90, 95]);
+    // -10% at 3x leaves 70 of equity on 270 of exposure (26%)
+    assert.equal(findLiquidation(buildSyntheticSeries(spx, 3, 100)), null);
+    const out = buildSyntheticSeries(spx, 3, 100, { maintenanceMargin: 0.3 });
+    const liq = findLiquidation(out);
+    assert.equal(liq.index, 1);
+    assert.equal(liq.reason, "margin");
+    assert.equal(out[2].value, 0);
+  });
+
+  it("stays liquidated when resumed from a prefix", () => {
+    const spx = series([100, 75, 90, 120]);
+    const full = buildSyntheticSeries(spx, 4, 100);
+    assert.deepEqual(buildSyntheticSeries(spx, 4, 100, undefined, full.slice(0, 2)), full);
+  });
+
+  it("keeps log scales for liquidated series", () => {
+    const out = buildSyntheticSeries(series([100, 110, 75, 90]), 4, 100);
+    const c = buildChartScales([{ id: "a", data: out }], {
+      width: 1000,
+      height: 500,
+      padLeft: 40,
+      rightMargin: 60,
+      interval: "D",
+      domain: { x0: -Infinity, x1: Infinity },
+      yMode: "log",
+      chartStyle: "line",
+    });
+    near(c.yScale(10) - c.yScale(100), c.yScale(100) - c.yScale(1000), 1e-6);
+    assert.equal(c.series[0].points[3].y, 500 - 40);
+  });
+});
+
+describe("tracking comparison", () => {
+  it("aligns a source onto target bars as of each time", () => {
+    const target = series([1, 1, 1, 1]);
+    const source = [
+      { time: target[1].time, value: 10 },
+      { time: target[2].time + HOUR, value: 11 },
+    ];
+    assert.deepEqual(
+      alignAsOf(target, source).map((p) => [p.time, p.value]),
+      [
+        [target[1].time, 10],
+        [target[2].time, 10],
+        [target[3].time, 11],
+      ]
+    );
+  });
+
+  it("reports zero tracking error for a perfect tracker", () => {
+    const model = series([100, 110, 99, 120]);
+    const actual = model.map((p) => ({ time: p.time, value: p.value * 0.5 }));
+    const t = trackingStats(model, actual, "D", -Infinity, Infinity);
+    near(t.trackingError, 0);
+    near(t.trackingDifference, 0);
+    near(t.correlation, 1);
+    assert.equal(t.bars, 3);
+  });
+
+  it("skips bars the product has no print for", () => {
+    const model = series([100, 110, 121, 133.1, 146.41]);
+    const actual = [0, 1, 3, 4].map((i) => ({ time: model[i].time, value: model[i].value / 2 }));
+    near(trackingStats(model, actual, "D", -Infinity, Infinity).trackingError, 0);
+    // forward-filling the gap would fake a flat bar and a jump after it
+    const filled = alignAsOf(model, actual);
+    assert.ok(trackingStats(model, filled, "D", -Infinity, Infinity).trackingError > 0.1);
+  });
+
+  it("measures cumulative difference and anti-correlation", () => {
+    const model = series([100, 110, 99, 120]);
+    const actual = series([100, 90, 99, 80]);
+    const t = trackingStats(model, actual, "D", -Infinity, Infinity);
+    near(t.trackingDifference, -0.2 - 0.2);
+    assert.ok(t.correlation < -0.9);
+    assert.ok(t.trackingError > 0);
+    assert.equal(trackingStats(model, actual.slice(0, 2), "D", -Infinity, Infinity), null);
+  });
+});
+
+describe("buildDrawdown", () => {
+  it("measures peak-to-trough and recovery", () => {
+    const dd = buildDrawdown(series([100, 120, 90, 130]));
+    near(dd.max.value, -25);
+    assert.equal(dd.max.peak, 120);
+    assert.equal(dd.recoveryTime, Date.UTC(2024, 0, 5));
+  });
+});
+
+describe("measureRange", () => {
+  const spx = series([100, 110, 121]);
+  const synth = buildSyntheticSeries(spx, 2, 100);
+
+  it("reports the change between two bars in either order", () => {
+    const m = measureRange(synth, spx, 2, 0);
+    assert.equal(m.bars, 2);
+    assert.equal(m.elapsedMs, 2 * DAY);
+    near(m.change, 44);
+    near(m.pct, 0.44);
+    near(m.spxPct, 0.21);
+  });
+
+  it("annualizes by elapsed time and skips it when undefined", () => {
+    const year = [
+      { time: 0, value: 100 },
+      { time: 365.25 * DAY, value: 150 },
+    ];
+    near(measureRange(year, year, 0, 1).annualized, 0.5);
+    assert.equal(measureRange(synth, spx, 1, 1).annualized, null);
+    assert.equal(measureRange(synth, spx, 0, 9), null);
+  });
+});
+
+describe("computeStats", () => {
+  // +2%, -1%, +2%, -1% on daily bars
+  const rets = [0.02, -0.01, 0.02, -0.01];
+  const values = rets.reduce((acc, r) => acc.concat(acc[acc.length - 1] * (1 + r)), [100]);
+  const bars = series(values);
+  const all = [-Infinity, Infinity];
+  const sd = Math.sqrt((4 * 0.015 ** 2) / 3);
+  const downside = Math.sqrt((2 * 0.01 ** 2) / 4);
+
+  it("annualizes growth by elapsed time", () => {
+    const grow = [
+      { time: 0, value: 100 },
+      { time: YEAR_MS, value: 110 },
+      { time: 2 * YEAR_MS, value: 121 },
+    ];
+    const stats = computeStats(grow, grow, 1, "D", 0, ...all);
+    near(stats.totalReturn, 0.21);
+    near(stats.cagr, 0.1);
+    near(stats.decayGap, 0);
+    assert.equal(stats.bars, 2);
+  });
+
+  it("computes Sharpe and Sortino from sample and downside deviation", () => {
+    const stats = computeStats(bars, bars, 1, "D", 0, ...all);
+    near(stats.volatility, sd * Math.sqrt(252));
+    near(stats.sharpe, (0.005 / sd) * Math.sqrt(252));
+    near(stats.sortino, (0.005 / downside) * Math.sqrt(252));
+    near(stats.best.value, 0.02);
+    near(stats.worst.value, -0.01);
+    // 2.52% a year is 0.01% a day
+    const rf = computeStats(bars, bars, 1, "D", 0.0252, ...all);
+    near(rf.sharpe, ((0.005 - 0.0001) / sd) * Math.sqrt(252));
+  });
+
+  it("annualizes volatility by the bars per year of the interval", () => {
+    const vol = (iv) => computeStats(bars, bars, 1, iv, 0, ...all).volatility;
+    near(vol("W"), sd * Math.sqrt(52));
+    near(vol("M"), sd * Math.sqrt(12));
+    near(vol("60"), sd * Math.sqrt(252 * 7));
+    near(vol("1"), sd * Math.sqrt(252 * 390));
+    near(vol("unknown"), vol("D"));
+  });
+
+  it("only looks at bars in range", () => {
+    const stats = computeStats(bars, bars, 1, "D", 0, bars[1].time, bars[3].time);
+    assert.equal(stats.bars, 2);
+    near(stats.totalReturn, 0.99 * 1.02 - 1);
+    assert.equal(computeStats(bars, bars, 1, "D", 0, bars[4].time, Infinity), null);
+  });
+});
+
+describe("time stepping across DST", () => {
+  // US clocks sprang forward on 2024-03-10: the 9:30 open moved from 14:30Z
+  // to 13:30Z, and all stepping is done in UTC.
+  const fridayOpen = Date.UTC(2024, 2, 8, 14, 30);
+  const mondayOpen = Date.UTC(2024, 2, 11, 13, 30);
+
+  it("aligns bars on either side to their UTC day and week", () => {
+    assert.equal(alignToInterval(fridayOpen, "D"), Date.UTC(2024, 2, 8));
+    assert.equal(alignToInterval(mondayOpen, "D"), Date.UTC(2024, 2, 11));
+    assert.equal(alignToInterval(fridayOpen, "W"), Date.UTC(2024, 2, 4));
+    assert.equal(alignToInterval(mondayOpen, "W"), Date.UTC(2024, 2, 11));
+  });
+
+  it("steps exactly 24h per day and 1h per hour", () => {
+    const sat = Date.UTC(2024, 2, 9);
+    assert.equal(addInterval(sat, "D"), Date.UTC(2024, 2, 10));
+    assert.equal(addInterval(Date.UTC(2024, 2, 10), "D") - Date.UTC(2024, 2, 10), DAY);
+    assert.equal(addInterval(mondayOpen, "60") - mondayOpen, HOUR);
+  });
+
+  it("keeps rebalance periods on UTC boundaries", () => {
+    assert.notEqual(rebalancePeriodKey(fridayOpen, "daily"), rebalancePeriodKey(mondayOpen, "daily"));
+    assert.notEqual(rebalancePeriodKey(fridayOpen, "weekly"), rebalancePeriodKey(mondayOpen, "weekly"));
+    assert.equal(rebalancePeriodKey(fridayOpen, "monthly"), rebalancePeriodKey(mondayOpen, "monthly"));
+  });
+
+  it("spaces hourly ticks evenly through the change", () => {
+    const x0 = Date.UTC(2024, 2, 10, 0);
+    const x1 = Date.UTC(2024, 2, 10, 12);
+    const { ticks } = buildTimeTicks(x0, x1, "60", (t) => (t - x0) / HOUR, 1000);
+    assert.equal(ticks.length, 13);
+    ticks.forEach((t, i) => assert.equal(t.x, i));
+  });
+});
+
+describe("month stepping", () => {
+  it("clamps to the last day of shorter months", () => {
+    const jan31 = Date.UTC(2024, 0, 31);
+    const feb = addInterval(jan31, "M");
+    assert.equal(feb, Date.UTC(2024, 1, 29));
+    assert.equal(addInterval(feb, "M"), Date.UTC(2024, 2, 29));
+    assert.equal(addInterval(Date.UTC(2023, 0, 31), "M"), Date.UTC(2023, 1, 28));
+  });
+
+  it("rolls over the year and walks month starts", () => {
+    assert.equal(addInterval(Date.UTC(2023, 11, 15), "M"), Date.UTC(2024, 0, 15));
+    let t = alignToInterval(Date.UTC(2023, 4, 17, 13), "M");
+    assert.equal(t, Date.UTC(2023, 4, 1));
+    for (let i = 0; i < 12; i++) t = addInterval(t, "M");
+    assert.equal(t, Date.UTC(2024, 4, 1));
+  });
+});
+
+describe("value transforms and scales", () => {
+  const opts = {
+    width: 1000,
+    height: 500,
+    padLeft: 40,
+    rightMargin: 60,
+    interval: "D",
+    domain: { x0: -Infinity, x1: Infinity },
+    yMode: "linear",
+    chartStyle: "line",
+  };
+
+  it("transforms values for log and percent modes", () => {
+    near(valueTransform("log", 1)(Math.E), 1);
+    near(valueTransform("percent", 200)(250), 25);
+    near(valueTransform("percent", 200)(100), -50);
+    assert.equal(valueTransform("linear", 200)(7), 7);
+  });
+
+  it("maps the visible domain onto the plot width", () => {
+    const s = series([1, 2, 3, 4]);
+    const c = buildChartScales([{ id: "a", data: s }], opts);
+    assert.equal(c.xScale(s[0].time), 40);
+    assert.equal(c.xScale(s[3].time), 1000 - 60);
+    assert.ok(c.yScale(4) < c.yScale(1), "higher values plot higher");
+  });
+
+  it("gives equal ratios equal distances on a log scale", () => {
+    const c = buildChartScales([{ id: "a", data: series([10, 100, 1000]) }], {
+      ...opts,
+      yMode: "log",
+    });
+    near(c.yScale(10) - c.yScale(100), c.yScale(100) - c.yScale(1000), 1e-6);
+  });
+
+  it("inverts the y scale in every mode", () => {
+    for (const yMode of ["linear", "log", "percent"]) {
+      const c = buildChartScales([{ id: "a", data: series([10, 40, 25]) }], {
+        ...opts,
+        yMode,
+      });
+      near(c.yInvert(c.yScale(33)), 33, 1e-9);
+      near(c.series[0].yInvert(c.yScale(12)), 12, 1e-9);
+    }
+  });
+
+  it("falls back to linear when log sees values <= 0", () => {
+    const c = buildChartScales([{ id: "a", data: series([-5, 5, 10]) }], {
+      ...opts,
+      yMode: "log",
+    });
+    near(c.yScale(0) - c.yScale(5), c.yScale(5) - c.yScale(10), 1e-6);
+    assert.ok(c.yTicks.some((t) => t.label.startsWith("-")));
+  });
+
+  it("measures every series from its own left edge in percent mode", () => {
+    const c = buildChartScales(
+      [
+        { id: "a", data: series([100, 120]) },
+        { id: "b", data: series([50, 60]) },
+      ],
+      { ...opts, yMode: "percent" }
+    );
+    near(c.series[0].yScale(120), c.series[1].yScale(60));
+    assert.ok(c.yTicks.every((t) => t.label.endsWith("%")));
+  });
+
+  it("downsamples long series to the pixel width", () => {
+    const values = [];
+    for (let i = 0; i < 20000; i++) values.push(100 + Math.sin(i / 30));
+    const c = buildChartScales([{ id: "a", data: series(values, 0, HOUR) }], opts);
+    assert.ok(c.series[0].points.length <= 2 * 900);
+    const bars = buildChartScales([{ id: "a", data: series(values, 0, HOUR) }], {
+      ...opts,
+      chartStyle: "candle",
+    }).bars;
+    assert.ok(bars.length <= 300);
+  });
+});
+
+describe("lookup and downsampling", () => {
+  const s = series([1, 2, 3, 4, 5]);
+
+  it("finds the nearest point by time", () => {
+    assert.equal(nearestIndex(s, s[2].time + 0.4 * DAY), 2);
+    assert.equal(nearestIndex(s, s[2].time + 0.6 * DAY), 3);
+    assert.equal(nearestIndex(s, -1), 0);
+    assert.equal(nearestIndex([], 5), -1);
+  });
+
+  it("keeps the endpoints and spikes in LTTB", () => {
+    const data = series(Array.from({ length: 1000 }, (_, i) => (i === 500 ? 50 : 1)));
+    const out = lttb(data, 50);
+    assert.equal(out.length, 50);
+    assert.equal(out[0], data[0]);
+    assert.equal(out[49], data[999]);
+    assert.ok(out.includes(data[500]));
+  });
+});